@@ -0,0 +1,369 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { describeProviders } = require('./providers/registry');
+
+const HOST = '127.0.0.1';
+const MAX_BODY = 1024 * 1024;
+// SSE comment line so proxies and clients don't drop an idle stream
+const KEEPALIVE_MS = 25 * 1000;
+
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm'
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function generateToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+// File names come from naming patterns and prompts, so they can hold anything:
+// an ASCII fallback plus the exact name as RFC 5987 UTF-8
+function contentDisposition(name) {
+  const fallback = name.replace(/[^\x20-\x7e]|["\\%]/g, '_');
+  const encoded = encodeURIComponent(name).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `inline; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * Optional local REST API (settings.api). Listens on 127.0.0.1 only and every
+ * request must carry the token, as `Authorization: Bearer <token>` or `?token=`
+ * (EventSource can't set headers).
+ *
+ *   GET  /api/capabilities             providers, types and options
+ *   GET  /api/jobs                     history (status, provider, search, batchId, limit, offset)
+ *   POST /api/jobs                     submit one job (same shape as the Generate tab)
+ *   GET  /api/jobs/:id                 one job with its variations
+ *   GET  /api/jobs/:id/output          the job's output file (?variation=n for variations)
+ *   POST /api/jobs/:id/cancel          cancel a queued or running job
+ *   POST /api/jobs/:id/retry           requeue a finished job
+ *   POST /api/batches                  submit a batch (same JSON as the Batch tab), returns once queued
+ *   GET  /api/batches/:id              batch status and its jobs
+ *   GET  /api/events                   server-sent events, one per progress event
+ */
+class ApiServer {
+  /**
+   * @param {Object} deps - { config, db, orchestrator, defaultOutputDir }
+   */
+  constructor({ config, db, orchestrator, defaultOutputDir }) {
+    this.config = config;
+    this.db = db;
+    this.orchestrator = orchestrator;
+    this.defaultOutputDir = defaultOutputDir;
+
+    this._server = null;
+    this._port = null;
+    this._error = null;
+    this._clients = new Set(); // open SSE responses
+    this._keepAlive = null;
+  }
+
+  _settings() {
+    return { enabled: false, port: 7870, token: '', ...this.config.get('settings.api') };
+  }
+
+  // Start, restart or stop to match the saved settings
+  async applySettings() {
+    const settings = this._settings();
+    if (!settings.enabled) return this.stop();
+    if (this._server && this._port === settings.port) return this.getStatus();
+    await this.stop();
+    return this.start();
+  }
+
+  async start() {
+    const settings = this._settings();
+    if (!settings.token) {
+      settings.token = generateToken();
+      this.config.set('settings.api.token', settings.token);
+    }
+
+    const server = http.createServer((req, res) => this._handle(req, res));
+    try {
+      await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(settings.port, HOST, resolve);
+      });
+    } catch (e) {
+      this._error = e.code === 'EADDRINUSE' ? `Port ${settings.port} is already in use` : e.message;
+      console.log(`[API] Failed to start: ${this._error}`);
+      return this.getStatus();
+    }
+
+    this._server = server;
+    this._port = settings.port;
+    this._error = null;
+    this._keepAlive = setInterval(() => {
+      for (const res of this._clients) res.write(': keep-alive\n\n');
+    }, KEEPALIVE_MS);
+    console.log(`[API] Listening on http://${HOST}:${this._port}`);
+    return this.getStatus();
+  }
+
+  async stop() {
+    clearInterval(this._keepAlive);
+    this._keepAlive = null;
+    for (const res of this._clients) res.end();
+    this._clients.clear();
+
+    if (this._server) {
+      const server = this._server;
+      this._server = null;
+      const closed = new Promise(resolve => server.close(resolve));
+      server.closeAllConnections(); // idle keep-alive sockets would hold close() open
+      await closed;
+      console.log('[API] Stopped');
+    }
+    this._port = null;
+    return this.getStatus();
+  }
+
+  regenerateToken() {
+    const token = generateToken();
+    this.config.set('settings.api.token', token);
+    // Streams opened with the old token are dropped
+    for (const res of this._clients) res.end();
+    this._clients.clear();
+    return token;
+  }
+
+  getStatus() {
+    return {
+      running: !!this._server,
+      url: this._server ? `http://${HOST}:${this._port}` : null,
+      error: this._error,
+      clients: this._clients.size
+    };
+  }
+
+  // Mirror of emitProgress for /api/events subscribers
+  broadcast(data) {
+    if (this._clients.size === 0) return;
+    const message = `data: ${JSON.stringify(data)}\n\n`;
+    for (const res of this._clients) res.write(message);
+  }
+
+  // ============================================
+  // Request Handling
+  // ============================================
+
+  async _handle(req, res) {
+    try {
+      const url = new URL(req.url, `http://${HOST}`);
+      if (!this._authorized(req, url)) throw new HttpError(401, 'Missing or invalid token');
+
+      const result = await this._route(req, res, url);
+      if (result !== undefined) this._send(res, result.status || 200, result.body);
+    } catch (e) {
+      if (!(e instanceof HttpError)) console.log(`[API] ${req.method} ${req.url} failed: ${e.message}`);
+      if (!res.headersSent) this._send(res, e.status || 500, { success: false, errors: [e.message] });
+      else res.end();
+    }
+  }
+
+  _authorized(req, url) {
+    const { token } = this._settings();
+    const header = req.headers.authorization || '';
+    const given = header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token');
+    if (!token || !given) return false;
+    // Compare digests: timingSafeEqual needs equal byte lengths, and non-ASCII
+    // input can match the token's length in characters but not in bytes
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(given), digest(token));
+  }
+
+  async _route(req, res, url) {
+    const parts = url.pathname.split('/').filter(Boolean);
+    if (parts[0] !== 'api') throw new HttpError(404, 'Not found');
+    const [, resource, id, action] = parts;
+    const route = `${req.method} ${resource}${id ? '/:id' : ''}${action ? `/${action}` : ''}`;
+
+    switch (route) {
+      case 'GET capabilities':
+        return { body: describeProviders() };
+
+      case 'GET jobs':
+        return { body: this.db.getJobs(this._listOptions(url.searchParams)) };
+
+      case 'POST jobs': {
+        const jobDef = await this._readJson(req);
+        if (!jobDef.outputFolder) jobDef.outputFolder = this._outputFolder();
+        const result = await this.orchestrator.submitJob(jobDef);
+        return { status: result.success ? 202 : 400, body: result };
+      }
+
+      case 'GET jobs/:id':
+        return { body: { ...this._job(id), variations: this.db.getVariations(id) } };
+
+      case 'GET jobs/:id/output':
+        return this._sendOutput(res, this._job(id), url.searchParams.get('variation'));
+
+      case 'POST jobs/:id/cancel': {
+        this._job(id);
+        const cancelled = this.orchestrator.cancelJob(id);
+        return {
+          status: cancelled ? 200 : 409,
+          body: cancelled ? { success: true } : { success: false, errors: ['Job is not queued or running'] }
+        };
+      }
+
+      case 'POST jobs/:id/retry': {
+        this._job(id);
+        const result = await this.orchestrator.retryJob(id);
+        return { status: result.success ? 202 : 400, body: result };
+      }
+
+      case 'POST batches': {
+        let batch = await this._readJson(req);
+        if (Array.isArray(batch)) batch = { jobs: batch };
+        batch.globalOptions = { ...batch.globalOptions };
+        if (!batch.globalOptions.outputFolder) batch.globalOptions.outputFolder = this._outputFolder();
+        const result = await this.orchestrator.submitBatch(batch, { wait: false });
+        return { status: result.success ? 202 : 400, body: result };
+      }
+
+      case 'GET batches/:id': {
+        const batch = this.db.getBatch(id);
+        if (!batch) throw new HttpError(404, 'Batch not found');
+        return { body: { ...batch, jobs: this.db.getJobs({ batchId: id, limit: Infinity }) } };
+      }
+
+      case 'GET events':
+        this._openStream(req, res);
+        return undefined;
+
+      default:
+        throw new HttpError(404, `No route for ${req.method} ${url.pathname}`);
+    }
+  }
+
+  _job(id) {
+    const job = this.db.getJob(id);
+    if (!job) throw new HttpError(404, 'Job not found');
+    return job;
+  }
+
+  _listOptions(params) {
+    const options = {};
+    for (const key of ['status', 'provider', 'search', 'batchId']) {
+      if (params.has(key)) options[key] = params.get(key);
+    }
+    for (const key of ['limit', 'offset']) {
+      if (params.has(key)) options[key] = Math.max(0, parseInt(params.get(key)) || 0);
+    }
+    return options;
+  }
+
+  _outputFolder() {
+    return this.config.get('settings.outputFolder') || this.defaultOutputDir;
+  }
+
+  _readJson(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY) {
+          reject(new HttpError(413, 'Request body too large'));
+          req.destroy();
+        } else {
+          chunks.push(chunk);
+        }
+      });
+      req.on('end', () => {
+        try {
+          const body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+          if (!body || typeof body !== 'object') throw new Error('expected an object');
+          resolve(body);
+        } catch (e) {
+          reject(new HttpError(400, `Invalid JSON body: ${e.message}`));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  // Only files recorded on the job (or one of its variations) are served
+  async _sendOutput(res, job, variation) {
+    let row = job;
+    if (variation !== null) {
+      row = this.db.getVariations(job.id).find(v => v.variation === Number(variation));
+      if (!row) throw new HttpError(404, `Job has no variation ${variation}`);
+    }
+    if (row.status !== 'success' || !row.outputPath || !fs.existsSync(row.outputPath)) {
+      throw new HttpError(404, 'Output is not available');
+    }
+
+    // Open the file before answering: it can be deleted or locked in the meantime
+    const stream = fs.createReadStream(row.outputPath);
+    try {
+      await new Promise((resolve, reject) => {
+        stream.once('open', resolve);
+        stream.once('error', reject);
+      });
+    } catch (e) {
+      stream.destroy();
+      if (e.code === 'ENOENT') throw new HttpError(404, 'Output is not available');
+      throw new HttpError(500, `Cannot read output: ${e.message}`);
+    }
+
+    const stat = fs.fstatSync(stream.fd);
+    if (!stat.isFile()) {
+      stream.destroy();
+      throw new HttpError(404, 'Output is not available');
+    }
+    try {
+      res.writeHead(200, {
+        'Content-Type': CONTENT_TYPES[path.extname(row.outputPath).toLowerCase()] || 'application/octet-stream',
+        'Content-Length': stat.size,
+        'Content-Disposition': contentDisposition(path.basename(row.outputPath))
+      });
+    } catch (e) {
+      stream.destroy();
+      throw e;
+    }
+    // Headers are out by now, so a read error can only cut the response short
+    stream.on('error', (e) => {
+      console.log(`[API] Reading ${row.outputPath} failed: ${e.message}`);
+      res.destroy();
+    });
+    stream.pipe(res);
+    return undefined;
+  }
+
+  _openStream(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.write(': connected\n\n');
+    this._clients.add(res);
+    req.on('close', () => this._clients.delete(res));
+  }
+
+  _send(res, status, body) {
+    const json = JSON.stringify(body);
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(json)
+    });
+    res.end(json);
+  }
+}
+
+module.exports = { ApiServer };
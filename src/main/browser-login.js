@@ -0,0 +1,88 @@
+const { getProvider } = require('./providers/registry');
+const { openBrowser, hasDisplay } = require('./browser');
+const { cookiesFromList, extractProviderCookies } = require('./cookie-import');
+const { sleep } = require('./cancellation');
+
+const POLL_INTERVAL_MS = 2000;
+// Long enough for two-factor prompts and password resets
+const LOGIN_TIMEOUT_MS = 10 * 60 * 1000;
+
+const openBrowsers = new Map(); // "provider/accountId" -> browser
+
+/**
+ * "Log in with browser": open a visible Chrome on the provider's login page
+ * (provider.login, see registry.js), wait until the user has signed in, and
+ * resolve to { cookies, found } read from the browser, in the same shape as a
+ * cookie file import. Rejects when the window is closed or after 10 minutes.
+ * With `profileDir` the sign-in happens in the account's persistent profile,
+ * which keeps the whole session for later runs. `network` is the provider's
+ * proxy and user agent, so the session is made the way jobs will use it;
+ * `browserSettings` is settings.browser.
+ */
+async function loginWithBrowser(providerId, accountId, { profileDir = null, network = {}, browserSettings = {} } = {}) {
+  const provider = getProvider(providerId);
+  if (!provider?.login) throw new Error(`${provider?.name || providerId} does not support browser login`);
+  if (!hasDisplay()) throw new Error('No display available for the login window; import a cookie file instead');
+
+  const key = `${providerId}/${accountId}`;
+  if (openBrowsers.has(key)) throw new Error('A login window is already open for this account');
+
+  const { browser, context } = await openBrowser({
+    headless: false,
+    profileDir,
+    network,
+    browserSettings,
+    contextOptions: { viewport: null }
+  });
+  openBrowsers.set(key, browser);
+  console.log(`[LOGIN] Waiting for ${provider.name} sign-in (${accountId})`);
+
+  try {
+    const page = await context.newPage();
+    await page.goto(provider.login.url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+
+    const deadline = Date.now() + LOGIN_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+      await sleep(POLL_INTERVAL_MS);
+      if (!browser.isConnected() || context.pages().length === 0) {
+        throw new Error('Login window was closed before signing in');
+      }
+
+      const session = await readSession(provider, context);
+      if (session) {
+        console.log(`[LOGIN] ${provider.name} signed in, captured ${session.found.length} cookies`);
+        return session;
+      }
+    }
+    throw new Error('Timed out waiting for sign-in');
+  } catch (e) {
+    if (!browser.isConnected()) throw new Error('Login window was closed before signing in');
+    throw e;
+  } finally {
+    openBrowsers.delete(key);
+    await browser.close().catch(() => {});
+  }
+}
+
+// The provider's cookies once its session cookies are set and one of the open
+// tabs passes the provider's signed-in check; null while the user isn't there yet
+async function readSession(provider, context) {
+  const { cookies, found } = extractProviderCookies(provider.id, cookiesFromList(await context.cookies()));
+  const required = provider.login.cookies || provider.cookies.map(field => field.key);
+  if (!required.every(name => found.some(cookie => cookie.name === name))) return null;
+
+  if (!provider.login.check) return { cookies, found };
+  for (const page of context.pages()) {
+    if (!await provider.login.check(page)) return { cookies, found };
+  }
+  return null;
+}
+
+// App shutdown: close any login window still waiting
+async function closeLoginBrowsers() {
+  const browsers = [...openBrowsers.values()];
+  openBrowsers.clear();
+  await Promise.all(browsers.map(browser => browser.close().catch(() => {})));
+}
+
+module.exports = { loginWithBrowser, closeLoginBrowsers };
@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { chromium } = require('playwright-core');
+const { parseProxy } = require('./network');
+
+/**
+ * Chrome setup shared by the Playwright providers and the browser login.
+ */
+
+// Same platform as the machine, so the user agent agrees with navigator.platform
+const PLATFORM_TOKENS = {
+  win32: 'Windows NT 10.0; Win64; x64',
+  darwin: 'Macintosh; Intel Mac OS X 10_15_7',
+  linux: 'X11; Linux x86_64'
+};
+
+const USER_AGENT = `Mozilla/5.0 (${PLATFORM_TOKENS[process.platform] || PLATFORM_TOKENS.linux}) ` +
+  'AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+const LAUNCH_ARGS = ['--disable-blink-features=AutomationControlled'];
+
+// Written into a profile folder: hash of the stored cookies it was last given
+const COOKIE_STAMP = 'aivg-cookies.sha256';
+
+// ============================================
+// Browser Executable
+// ============================================
+
+const CHANNEL_NAMES = {
+  chrome: 'Google Chrome',
+  'chrome-beta': 'Google Chrome Beta',
+  msedge: 'Microsoft Edge',
+  chromium: 'Chromium'
+};
+
+// Usual install locations per channel, in the order 'auto' tries them
+function installPaths() {
+  if (process.platform === 'win32') {
+    const roots = [process.env.PROGRAMFILES, process.env['PROGRAMFILES(X86)'], process.env.LOCALAPPDATA].filter(Boolean);
+    const under = (...parts) => roots.map(root => path.join(root, ...parts));
+    return {
+      chrome: under('Google', 'Chrome', 'Application', 'chrome.exe'),
+      chromium: under('Chromium', 'Application', 'chrome.exe'),
+      msedge: under('Microsoft', 'Edge', 'Application', 'msedge.exe'),
+      'chrome-beta': under('Google', 'Chrome Beta', 'Application', 'chrome.exe')
+    };
+  }
+  if (process.platform === 'darwin') {
+    const app = name => [`/Applications/${name}.app/Contents/MacOS/${name}`];
+    return {
+      chrome: app('Google Chrome'),
+      chromium: app('Chromium'),
+      msedge: app('Microsoft Edge'),
+      'chrome-beta': app('Google Chrome Beta')
+    };
+  }
+  return {
+    chrome: ['/usr/bin/google-chrome-stable', '/usr/bin/google-chrome', '/opt/google/chrome/chrome'],
+    chromium: ['/usr/bin/chromium', '/usr/bin/chromium-browser', '/snap/bin/chromium', '/usr/lib/chromium/chromium'],
+    msedge: ['/usr/bin/microsoft-edge-stable', '/usr/bin/microsoft-edge', '/opt/microsoft/msedge/msedge'],
+    'chrome-beta': ['/usr/bin/google-chrome-beta', '/opt/google/chrome-beta/chrome']
+  };
+}
+
+/**
+ * Playwright launch options picking the browser from settings.browser
+ * ({ channel, executablePath }): { executablePath } or { channel }, plus
+ * `name` for messages. AIVG_BROWSER_PATH overrides the setting. 'auto' takes
+ * the first installed of Chrome, Chromium, Edge and Chrome Beta. Throws when
+ * nothing usable is found.
+ */
+function resolveBrowser({ channel = 'auto', executablePath = '' } = {}) {
+  const custom = process.env.AIVG_BROWSER_PATH || executablePath;
+  if (custom) {
+    if (!fs.existsSync(custom)) throw new Error(`No browser found at ${custom}`);
+    return { executablePath: custom, name: path.basename(custom) };
+  }
+
+  const paths = installPaths();
+  const channels = channel === 'auto' ? Object.keys(paths) : [channel];
+  if (!channels.every(id => CHANNEL_NAMES[id])) throw new Error(`Unknown browser channel "${channel}"`);
+  for (const id of channels) {
+    const found = paths[id].find(candidate => fs.existsSync(candidate));
+    if (found) return { executablePath: found, name: CHANNEL_NAMES[id] };
+  }
+
+  // Chromium has no Playwright channel; the others may be installed elsewhere and Playwright knows where
+  if (channel === 'chromium') {
+    throw new Error('Chromium is not installed. Install it or set the browser path under Settings → Browser');
+  }
+  return channel === 'auto'
+    ? { channel: 'chrome', name: CHANNEL_NAMES.chrome }
+    : { channel, name: CHANNEL_NAMES[channel] };
+}
+
+function browserNotInstalled(e, name) {
+  if (e.message.includes('Executable doesn\'t exist') || e.message.includes('executable')) {
+    return new Error(`${name} is not installed. Install it or choose another browser under Settings → Browser`);
+  }
+  return e;
+}
+
+// Linux without an X server or Wayland compositor, e.g. a render worker or an SSH session
+function hasDisplay() {
+  return process.platform !== 'linux' || !!(process.env.DISPLAY || process.env.WAYLAND_DISPLAY);
+}
+
+async function launchBrowser(launchOptions, name) {
+  try {
+    return await chromium.launch(launchOptions);
+  } catch (e) {
+    throw browserNotInstalled(e, name);
+  }
+}
+
+// ============================================
+// Shared Browsers
+// ============================================
+
+// Contexts without a profile share one browser per launch configuration
+// (headless, executable, proxy): key -> { browser: Promise<Browser>, contexts, pending }
+const sharedBrowsers = new Map();
+
+async function sharedContext(launchOptions, name, contextOptions) {
+  const key = JSON.stringify(launchOptions);
+  let entry = sharedBrowsers.get(key);
+  if (!entry) {
+    entry = { browser: launchBrowser(launchOptions, name), contexts: new Set(), pending: 0 };
+    sharedBrowsers.set(key, entry);
+    const forget = () => { if (sharedBrowsers.get(key) === entry) sharedBrowsers.delete(key); };
+    entry.browser.then(browser => browser.on('disconnected', forget), forget);
+  }
+
+  // The browser only lives as long as someone has a context in it
+  const closeIfUnused = (browser) => {
+    if (entry.contexts.size > 0 || entry.pending > 0 || sharedBrowsers.get(key) !== entry) return;
+    sharedBrowsers.delete(key);
+    browser.close().catch(() => {});
+  };
+
+  entry.pending++;
+  let browser, context;
+  try {
+    browser = await entry.browser;
+    context = await browser.newContext(contextOptions);
+    entry.contexts.add(context);
+  } finally {
+    entry.pending--;
+    if (browser) closeIfUnused(browser);
+  }
+
+  let open = true;
+  context.on('close', () => {
+    open = false;
+    entry.contexts.delete(context);
+    closeIfUnused(browser);
+  });
+
+  return {
+    browser: { isConnected: () => open && browser.isConnected(), close: () => context.close() },
+    context
+  };
+}
+
+// Playwright's `proxy` option, or undefined for a direct connection
+function proxyOption(network) {
+  const proxy = parseProxy(network.proxy);
+  if (!proxy) return undefined;
+  return proxy.username ? proxy : { server: proxy.server };
+}
+
+/**
+ * Browser and context for a converter or the login window. Without
+ * `profileDir` the context is opened in a browser shared with other providers
+ * and accounts (see sharedContext). With it the context is persistent
+ * (Chrome's user data folder, kept between runs) and has a browser of its own.
+ * Either way `browser` is a stand-in whose isConnected()/close() follow the
+ * context, so closing it never affects anyone else. `network` is the
+ * provider's settings.network entry (see network.js), `browserSettings`
+ * settings.browser. Without a display a visible browser can't open, so it
+ * runs headless.
+ */
+async function openBrowser({ headless = true, profileDir = null, contextOptions = {}, network = {}, browserSettings = {} } = {}) {
+  contextOptions = { ...contextOptions, userAgent: network.userAgent || USER_AGENT };
+  if (network.locale) contextOptions.locale = network.locale;
+  if (!headless && !hasDisplay()) {
+    console.log('[BROWSER] No display available, running headless');
+    headless = true;
+  }
+
+  const { name, ...target } = resolveBrowser(browserSettings);
+  const launchOptions = { headless, ...target, args: LAUNCH_ARGS, proxy: proxyOption(network) };
+  if (!profileDir) return sharedContext(launchOptions, name, contextOptions);
+
+  fs.mkdirSync(profileDir, { recursive: true });
+  let context;
+  try {
+    context = await chromium.launchPersistentContext(profileDir, { ...launchOptions, ...contextOptions });
+  } catch (e) {
+    if (/ProcessSingleton|SingletonLock|already in use/i.test(e.message)) {
+      throw new Error('The browser profile is already open in another window');
+    }
+    throw browserNotInstalled(e, name);
+  }
+
+  let connected = true;
+  context.on('close', () => { connected = false; });
+  const browser = {
+    isConnected: () => connected,
+    close: () => context.close()
+  };
+  return { browser, context };
+}
+
+/**
+ * Add the stored cookies to a fresh context. A profile only gets them when
+ * they changed since it last did, so cookies the site has rotated since then
+ * aren't overwritten by older stored ones.
+ */
+async function applyCookies(context, cookieList, profileDir = null) {
+  if (!profileDir) {
+    await context.addCookies(cookieList);
+    return cookieList.length;
+  }
+
+  const stampPath = path.join(profileDir, COOKIE_STAMP);
+  const stamp = crypto.createHash('sha256').update(JSON.stringify(cookieList)).digest('hex');
+  const previous = fs.existsSync(stampPath) ? fs.readFileSync(stampPath, 'utf8') : null;
+  if (previous === stamp || cookieList.length === 0) return 0;
+
+  await context.addCookies(cookieList);
+  fs.writeFileSync(stampPath, stamp);
+  return cookieList.length;
+}
+
+module.exports = { openBrowser, applyCookies, resolveBrowser, hasDisplay };
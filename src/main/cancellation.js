@@ -0,0 +1,81 @@
+const fs = require('fs');
+
+/**
+ * Cancellation helpers shared by the orchestrator and converters.
+ * Jobs get an AbortController; converters receive its `signal` in their options.
+ */
+
+class CancelledError extends Error {
+  constructor(message = 'Cancelled') {
+    super(message);
+    this.name = 'CancelledError';
+    this.cancelled = true;
+  }
+}
+
+function isAborted(signal) {
+  return !!(signal && signal.aborted);
+}
+
+function throwIfAborted(signal) {
+  if (isAborted(signal)) throw new CancelledError();
+}
+
+// Run fn once when the signal aborts (immediately if it already has). Returns a detach function.
+function onAbort(signal, fn) {
+  if (!signal) return () => {};
+  if (signal.aborted) {
+    fn();
+    return () => {};
+  }
+  signal.addEventListener('abort', fn, { once: true });
+  return () => signal.removeEventListener('abort', fn);
+}
+
+// Reject with CancelledError as soon as the signal aborts, without waiting for promise
+function raceAbort(promise, signal) {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    const detach = onAbort(signal, () => reject(new CancelledError()));
+    promise.then(
+      value => { detach(); resolve(value); },
+      err => { detach(); reject(err); }
+    );
+  });
+}
+
+// Like raceAbort, but first gives the promise graceMs to unwind on its own after the
+// abort. Used to stop waiting for work that ignores its signal (e.g. a hung page).
+function abandonAfterAbort(promise, signal, graceMs) {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    let timer = null;
+    const detach = onAbort(signal, () => {
+      timer = setTimeout(() => reject(new CancelledError()), graceMs);
+    });
+    const settle = () => { detach(); clearTimeout(timer); };
+    promise.then(
+      value => { settle(); resolve(value); },
+      err => { settle(); reject(err); }
+    );
+  });
+}
+
+// Delay that ends early (with CancelledError) when the signal aborts
+function sleep(ms, signal) {
+  return raceAbort(new Promise(r => setTimeout(r, ms)), signal);
+}
+
+// Delete a partially written output file, ignoring errors
+function removePartial(filePath) {
+  try {
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+      console.log(`[CANCEL] Removed partial file ${filePath}`);
+    }
+  } catch (e) {}
+}
+
+module.exports = {
+  CancelledError, isAborted, throwIfAborted, onAbort, raceAbort, abandonAfterAbort, sleep, removePartial
+};
@@ -0,0 +1,142 @@
+const { classifyError } = require('./errors');
+
+// Error categories that trip a breaker unless settings.circuitBreaker.patterns says otherwise
+const DEFAULT_PATTERNS = ['auth-expired', 'quota', 'timeout'];
+
+/**
+ * Per-provider circuit breaker.
+ *
+ *   closed    - jobs run normally; matching failures in a row are counted
+ *   open      - tripped; the provider's queue is held until the cool-down ends
+ *   half-open - cool-down over; probing the session before letting jobs through
+ *
+ * A failed probe re-opens the breaker with a doubled cool-down (up to maxCooldown).
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} provider
+   * @param {Object} hooks - { getSettings, probe: async () => boolean, onChange: (status) => void }
+   */
+  constructor(provider, { getSettings, probe, onChange }) {
+    this.provider = provider;
+    this._getSettings = getSettings;
+    this._probe = probe;
+    this._onChange = onChange;
+
+    this.state = 'closed';
+    this.reason = null; // error category that tripped it
+    this.failures = 0;
+    this.openUntil = null;
+    this._cooldown = null; // seconds, grows on every failed probe
+    this._timer = null;
+  }
+
+  _settings() {
+    const s = this._getSettings() || {};
+    return {
+      enabled: s.enabled !== false,
+      threshold: Math.max(1, Number(s.threshold) || 3),
+      cooldown: Math.max(1, Number(s.cooldown) || 120),
+      maxCooldown: Math.max(1, Number(s.maxCooldown) || 1800),
+      patterns: Array.isArray(s.patterns) ? s.patterns : DEFAULT_PATTERNS
+    };
+  }
+
+  // True while the provider's queue should be held
+  isOpen() {
+    return this.state !== 'closed';
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this._cooldown = null;
+  }
+
+  recordFailure(error, category = classifyError(error)) {
+    const settings = this._settings();
+    if (!settings.enabled || this.state !== 'closed' || !settings.patterns.includes(category)) return;
+
+    this.failures++;
+    console.log(`[BREAKER] ${this.provider}: ${category} failure ${this.failures}/${settings.threshold}`);
+    if (this.failures >= settings.threshold) {
+      this._open(category);
+    }
+  }
+
+  // Open straight away, whatever the failure count (e.g. the session monitor
+  // found every account signed out)
+  trip(reason) {
+    if (this.state !== 'closed') return;
+    this._open(reason);
+  }
+
+  // Close immediately (e.g. after the user re-validated the provider)
+  reset() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    this.failures = 0;
+    this._cooldown = null;
+    if (this.state !== 'closed') {
+      console.log(`[BREAKER] ${this.provider} reset`);
+      this._setState('closed', null);
+    }
+  }
+
+  dispose() {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      reason: this.reason,
+      failures: this.failures,
+      openUntil: this.openUntil
+    };
+  }
+
+  _open(reason) {
+    const settings = this._settings();
+    this._cooldown = this._cooldown ? Math.min(this._cooldown * 2, settings.maxCooldown) : settings.cooldown;
+    this.openUntil = new Date(Date.now() + this._cooldown * 1000).toISOString();
+    console.log(`[BREAKER] ${this.provider} tripped (${reason}), holding queue for ${this._cooldown}s`);
+    this._setState('open', reason);
+
+    clearTimeout(this._timer);
+    this._timer = setTimeout(() => this._halfOpen(), this._cooldown * 1000);
+  }
+
+  async _halfOpen() {
+    this._timer = null;
+    this._setState('half-open', this.reason);
+    console.log(`[BREAKER] ${this.provider} probing session...`);
+
+    let healthy = false;
+    try {
+      healthy = await this._probe();
+    } catch (e) {
+      console.log(`[BREAKER] ${this.provider} probe error: ${e.message}`);
+    }
+
+    // reset() may have closed it while the probe ran
+    if (this.state !== 'half-open') return;
+
+    if (healthy) {
+      console.log(`[BREAKER] ${this.provider} recovered, resuming queue`);
+      this.failures = 0;
+      this._setState('closed', null);
+    } else {
+      this._open(this.reason);
+    }
+  }
+
+  _setState(state, reason) {
+    this.state = state;
+    this.reason = reason;
+    if (state === 'closed') this.openUntil = null;
+    if (this._onChange) this._onChange(this.getStatus());
+  }
+}
+
+module.exports = { CircuitBreaker };
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+const { Config } = require('./config');
+const { Database } = require('./database');
+const { Orchestrator } = require('./orchestrator');
+const { ProfileStore } = require('./profiles');
+const { loadProviderModules } = require('./providers/registry');
+
+// ============================================
+// Headless batch runner: `electron . --cli batch.json [options]`
+// ============================================
+
+const USAGE = `Usage: electron . --cli <batch.json> [options]
+
+Runs a batch file (the same JSON the Batch tab accepts: { "jobs": [...], "globalOptions": {...} }
+or a bare array of jobs) without opening a window, using the desktop app's cookies and history.
+
+Options:
+  --json             Print progress as JSON lines instead of plain text
+  --output <folder>  Output folder (default: globalOptions.outputFolder, then Settings)
+  --verbose          Also print provider logs (to stderr)
+  --help             Show this help
+
+Exit status: 0 when every job succeeded, 1 when any job failed, was skipped or
+was cancelled, 2 when the batch file is invalid or the app is already running,
+130 when a second Ctrl+C exits without waiting for the batch.`;
+
+function parseArgs(argv) {
+  const args = { file: null, json: false, output: null, verbose: false, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') args.json = true;
+    else if (arg === '--verbose') args.verbose = true;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (arg === '--output') {
+      args.output = argv[++i];
+      if (!args.output) throw new Error('--output needs a folder');
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else if (!args.file) {
+      args.file = arg;
+    } else {
+      throw new Error(`Unexpected argument ${arg}`);
+    }
+  }
+  if (!args.file && !args.help) throw new Error('Missing batch file');
+  return args;
+}
+
+// One plain-text line per event worth showing; stage updates only when they change
+function createTextFormatter() {
+  const lastStage = new Map();
+
+  return (event) => {
+    const job = event.jobId ? `${event.jobId}${event.provider ? ` (${event.provider})` : ''}` : '';
+
+    switch (event.event) {
+      case 'batch:start':
+        return `Batch ${event.batchId}: ${event.total} jobs on ${Object.keys(event.providers || {}).join(', ')}`;
+      case 'batch:job-start':
+        return `[${event.provider} ${event.index}/${event.total}] ${event.jobId} started`;
+      case 'complete':
+        return `${job} done: ${event.outputPath}`;
+      case 'failed':
+        return `${job} FAILED${event.category ? ` [${event.category}]` : ''}: ${event.error}`;
+      case 'skipped':
+        return `${job} skipped: ${event.error}`;
+      case 'cancelled':
+        return `${job} cancelled`;
+      case 'batch:complete':
+        return `Batch ${event.batchId} finished: ${event.completed} succeeded, ${event.failed} failed, ` +
+          `${event.skipped} skipped of ${event.total}`;
+      case 'provider:circuit':
+        return `${event.provider} circuit ${event.state}${event.reason ? ` (${event.reason})` : ''}`;
+      case undefined:
+        if (!event.stage || lastStage.get(event.jobId) === event.stage) return null;
+        lastStage.set(event.jobId, event.stage);
+        return `${job} ${event.stage}`;
+      default:
+        return null; // batch:progress and UI-only events
+    }
+  };
+}
+
+/**
+ * Run one batch file without a window and resolve to the process exit code.
+ * `userDataDir` holds config.json, history.json, browser profiles and extra providers, as in the desktop app;
+ * `cipher` decrypts the stored cookies (see cookie-cipher.js).
+ */
+async function runCli(argv, { userDataDir, cipher, stdout = process.stdout, stderr = process.stderr }) {
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (e) {
+    stderr.write(`${e.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+  if (args.help) {
+    stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+
+  let batch;
+  try {
+    batch = JSON.parse(fs.readFileSync(args.file, 'utf8'));
+  } catch (e) {
+    stderr.write(`Cannot read batch file ${args.file}: ${e.message}\n`);
+    return 2;
+  }
+  if (Array.isArray(batch)) batch = { jobs: batch };
+
+  // stdout carries only progress; provider logs go to stderr with --verbose
+  const log = console.log;
+  console.log = args.verbose ? (...parts) => console.error(...parts) : () => {};
+
+  const format = createTextFormatter();
+  let batchId = null;
+  let cancelled = false;
+  const print = (event) => {
+    if (event.event === 'batch:start' && !batchId) {
+      batchId = event.batchId;
+      if (cancelled) orchestrator.cancelBatch(batchId);
+    }
+    if (args.json) {
+      stdout.write(`${JSON.stringify({ time: new Date().toISOString(), ...event })}\n`);
+    } else {
+      const line = format(event);
+      if (line) stdout.write(`${line}\n`);
+    }
+  };
+
+  loadProviderModules(path.join(userDataDir, 'providers'));
+  const config = new Config(path.join(userDataDir, 'config.json'), cipher ? { cipher } : {});
+  const db = new Database(path.join(userDataDir, 'history.json'));
+  const orchestrator = new Orchestrator(config, db, print, {
+    profiles: new ProfileStore(path.join(userDataDir, 'profiles'))
+  });
+
+  batch.globalOptions = {
+    ...batch.globalOptions,
+    outputFolder: (args.output && path.resolve(args.output)) || batch.globalOptions?.outputFolder ||
+      config.get('settings.outputFolder') || path.join(userDataDir, 'output')
+  };
+
+  // Ctrl+C / SIGTERM: cancel what's left of this batch; it then finishes and is reported.
+  // A second one exits right away, for a provider that doesn't let go.
+  const cancel = () => {
+    if (cancelled) {
+      stderr.write('Exiting without waiting for the batch\n');
+      process.exit(130);
+    }
+    stderr.write('Cancelling batch... (press Ctrl+C again to exit now)\n');
+    cancelled = true;
+    if (batchId) orchestrator.cancelBatch(batchId);
+  };
+  process.on('SIGINT', cancel);
+  process.on('SIGTERM', cancel);
+
+  try {
+    const result = await orchestrator.submitBatch(batch);
+    if (!result.success) {
+      stderr.write(`Invalid batch:\n${result.errors.map(e => `  ${e}`).join('\n')}\n`);
+      return 2;
+    }
+    return result.completed === result.total ? 0 : 1;
+  } catch (e) {
+    stderr.write(`Batch failed: ${e.message}\n`);
+    return 1;
+  } finally {
+    process.removeListener('SIGINT', cancel);
+    process.removeListener('SIGTERM', cancel);
+    await orchestrator.shutdown();
+    db.close();
+    console.log = log;
+  }
+}
+
+// Arguments after --cli, or null when the app was started normally
+function getCliArgs(argv) {
+  const index = argv.indexOf('--cli');
+  return index === -1 ? null : argv.slice(index + 1);
+}
+
+module.exports = { runCli, getCliArgs };
@@ -1,45 +1,154 @@
 const fs = require('fs');
 const path = require('path');
+const { listProviders, getProvider } = require('./providers/registry');
+const { CookieCipher } = require('./cookie-cipher');
+
+const DEFAULT_ACCOUNT = { id: 'default', name: 'Default' };
 
 class Config {
-  constructor(configPath) {
+  /**
+   * @param {string} configPath
+   * @param {Object} options - { cipher }: encrypts cookie values on disk (see cookie-cipher.js)
+   */
+  constructor(configPath, { cipher = new CookieCipher() } = {}) {
     this.configPath = configPath;
+    this.cipher = cipher;
+    // "provider/accountId/key" -> stored value that couldn't be decrypted; kept on disk as is
+    this._locked = new Map();
     this.data = this._defaults();
     this._load();
   }
 
   _defaults() {
+    // Per-provider sections come from each provider's registry entry
+    const accounts = {};
+    const rateLimits = {};
+    const browserProfiles = {};
+    const network = {};
+    for (const provider of listProviders()) {
+      accounts[provider.id] = [this._newAccount(provider.id, DEFAULT_ACCOUNT)];
+      rateLimits[provider.id] = { ...provider.rateLimits };
+      if (provider.profiles) browserProfiles[provider.id] = false;
+      network[provider.id] = { proxy: '', userAgent: '', locale: '' };
+    }
+
     return {
-      cookies: {
-        meta: { datr: '', abra_sess: '' },
-        grok: { sso: '', 'sso-rw': '' },
-        whisk: { cookies: '' },
-        imagefx: { cookies: '' }
-      },
+      // Named cookie sets per provider; jobs are spread across the enabled ones
+      accounts,
       settings: {
         outputFolder: '',
         retryAttempts: 3,
         delayBetween: 10,
         namingPattern: '{provider}_{index}_{timestamp}',
         preWarmBrowsers: false,
-        headless: true
-      },
-      providerStatus: {
-        meta: 'unconfigured',
-        grok: 'unconfigured',
-        whisk: 'unconfigured',
-        imagefx: 'unconfigured'
+        headless: true,
+        fallbackProviders: [], // tried in order when a job fails on its own provider
+        resumeOnStartup: true,
+        interruptedJobPolicy: 'requeue', // 'requeue' | 'interrupt' for jobs that were mid-flight
+        // Central pacing per provider. 0 turns a limit off. Spacing/jitter in seconds;
+        // dailyBudget counts generations ('video' scope only counts video jobs) and
+        // resets at resetHour local time.
+        rateLimits,
+        // Hold a provider's queue after `threshold` failures in a row of the given kinds,
+        // then probe its session after `cooldown` seconds (doubling up to maxCooldown)
+        circuitBreaker: {
+          enabled: true,
+          threshold: 3,
+          cooldown: 120,
+          maxCooldown: 1800,
+          patterns: ['auth-expired', 'quota', 'timeout'] // error categories from errors.js
+        },
+        // Per-category overrides of the retry policy in errors.js,
+        // e.g. { timeout: { retries: 3, baseDelay: 60, maxDelay: 600 } }
+        retryPolicy: {},
+        // Local REST API on 127.0.0.1 (see api-server.js); the token is generated on first start
+        api: {
+          enabled: false,
+          port: 7870,
+          token: ''
+        },
+        // Images dropped into `folder` are queued as image-to-video jobs (see folder-watcher.js);
+        // {name} in the prompt template is the image's file name
+        watchFolder: {
+          enabled: false,
+          folder: '',
+          provider: 'meta',
+          promptTemplate: '',
+          aspectRatio: '9:16'
+        },
+        // How jobs are spread over a provider's accounts: 'round-robin' | 'least-used'
+        accountRotation: 'round-robin',
+        // Re-validate enabled accounts with cookies every `interval` minutes and before each
+        // batch (see session-monitor.js); holdOnInvalid holds a provider once all are signed out
+        sessionMonitor: {
+          enabled: false,
+          interval: 60,
+          beforeBatch: true,
+          holdOnInvalid: false
+        },
+        // Keep a Chrome profile per account instead of a fresh browser with only the
+        // stored cookies on every launch (see profiles.js)
+        browserProfiles,
+        // Proxy, user agent and locale per provider (see network.js); empty uses the defaults
+        network,
+        // Browser for the Playwright providers: 'auto' | 'chrome' | 'chrome-beta' | 'msedge' |
+        // 'chromium', or an executable path, which wins (see browser.js resolveBrowser)
+        browser: {
+          channel: 'auto',
+          executablePath: ''
+        },
+        // Browser providers share one browser with a context per account: at most maxTabs
+        // jobs have a tab open at once, and contexts stay warm for idleTimeout seconds
+        // after a provider's last job (0 closes them right away)
+        browserPool: {
+          maxTabs: 8,
+          idleTimeout: 300
+        }
       }
     };
   }
 
+  _newAccount(provider, { id, name, cookies = {}, status }) {
+    const fields = getProvider(provider)?.cookies || [];
+    const account = {
+      id: id || `acct_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 4)}`,
+      name,
+      enabled: true,
+      cookies: { ...Object.fromEntries(fields.map(field => [field.key, ''])), ...cookies },
+      status: 'unconfigured'
+    };
+    account.status = status || (this._hasCookies(account.cookies) ? 'configured' : 'unconfigured');
+    return account;
+  }
+
+  _hasCookies(cookies) {
+    return Object.values(cookies || {}).some(v => v && String(v).trim());
+  }
+
+  // Earlier versions kept one cookie set per provider in `cookies` and its status in `providerStatus`
+  _migrate(saved) {
+    if (!saved.cookies) return saved;
+    saved.accounts = saved.accounts || {};
+    for (const [provider, cookies] of Object.entries(saved.cookies)) {
+      if (saved.accounts[provider]) continue;
+      saved.accounts[provider] = [this._newAccount(provider, {
+        ...DEFAULT_ACCOUNT, cookies, status: saved.providerStatus?.[provider]
+      })];
+    }
+    delete saved.cookies;
+    delete saved.providerStatus;
+    return saved;
+  }
+
   _load() {
     try {
       if (fs.existsSync(this.configPath)) {
         const content = fs.readFileSync(this.configPath, 'utf8');
-        const saved = JSON.parse(content);
+        const saved = this._migrate(JSON.parse(content));
         // Deep merge with defaults
         this.data = this._merge(this._defaults(), saved);
+        // Plaintext cookies from earlier versions are encrypted on the spot
+        if (this._decryptCookies()) this.save();
       }
     } catch (e) {
       console.error('[CONFIG] Failed to load:', e.message);
@@ -59,13 +168,52 @@ class Config {
     return result;
   }
 
+  // Decrypt cookie values in place. Returns true if any were stored as plaintext.
+  _decryptCookies() {
+    let plaintext = false;
+    for (const [provider, accounts] of Object.entries(this.data.accounts)) {
+      for (const account of accounts) {
+        for (const [key, value] of Object.entries(account.cookies || {})) {
+          if (!value) continue;
+          if (!this.cipher.isEncrypted(value)) {
+            plaintext = true;
+            continue;
+          }
+          try {
+            account.cookies[key] = this.cipher.decrypt(value);
+          } catch (e) {
+            console.error(`[CONFIG] Cannot decrypt ${provider} "${account.name}" ${key}: ${e.message}`);
+            this._locked.set(`${provider}/${account.id}/${key}`, value);
+            account.cookies[key] = '';
+          }
+        }
+      }
+    }
+    return plaintext && this.cipher.mode !== 'none';
+  }
+
+  // Copy of the data as written to disk: cookie values encrypted
+  _serialize() {
+    const data = JSON.parse(JSON.stringify(this.data));
+    for (const [provider, accounts] of Object.entries(data.accounts)) {
+      for (const account of accounts) {
+        for (const [key, value] of Object.entries(account.cookies || {})) {
+          account.cookies[key] = value
+            ? this.cipher.encrypt(value)
+            : this._locked.get(`${provider}/${account.id}/${key}`) || '';
+        }
+      }
+    }
+    return data;
+  }
+
   save() {
     try {
       const dir = path.dirname(this.configPath);
       if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
       }
-      fs.writeFileSync(this.configPath, JSON.stringify(this.data, null, 2));
+      fs.writeFileSync(this.configPath, JSON.stringify(this._serialize(), null, 2));
     } catch (e) {
       console.error('[CONFIG] Failed to save:', e.message);
     }
@@ -94,30 +242,149 @@ class Config {
     this.save();
   }
 
+  // Everything the renderer may see: cookie values never leave the main process,
+  // only whether each one is set
   getAll() {
-    return JSON.parse(JSON.stringify(this.data));
+    const data = JSON.parse(JSON.stringify(this.data));
+    for (const accounts of Object.values(data.accounts)) {
+      for (const account of accounts) {
+        account.cookiesSet = Object.fromEntries(Object.entries(account.cookies).map(([key, value]) => [key, !!value]));
+        account.cookies = Object.fromEntries(Object.keys(account.cookies).map(key => [key, '']));
+      }
+    }
+    data.cookieEncryption = this.cipher.mode;
+    data.cookiesLocked = [...this._locked.values()].filter(value => this.cipher.needsPassphrase(value)).length;
+    return data;
   }
 
-  getCookies(provider) {
-    return this.data.cookies[provider] || {};
-  }
+  /**
+   * Encrypt cookies with `passphrase` from now on (when there is no keychain)
+   * and open the values that were stored with it but couldn't be decrypted at
+   * startup. Nothing changes when it doesn't open them.
+   */
+  setCookiePassphrase(passphrase) {
+    if (!passphrase) return { success: false, errors: ['Enter a passphrase'] };
+
+    const trial = new CookieCipher({ passphrase });
+    const opened = new Map();
+    for (const [key, value] of this._locked.entries()) {
+      if (!this.cipher.needsPassphrase(value)) continue;
+      try {
+        opened.set(key, trial.decrypt(value));
+      } catch (e) {
+        return { success: false, errors: ['Wrong passphrase: the saved cookies were encrypted with a different one'] };
+      }
+    }
 
-  setCookies(provider, cookies) {
-    this.data.cookies[provider] = cookies;
+    this.cipher.setPassphrase(passphrase);
+    for (const [provider, accounts] of Object.entries(this.data.accounts)) {
+      for (const account of accounts) {
+        for (const key of Object.keys(account.cookies || {})) {
+          const lockedKey = `${provider}/${account.id}/${key}`;
+          if (!opened.has(lockedKey)) continue;
+          account.cookies[key] = opened.get(lockedKey);
+          this._locked.delete(lockedKey);
+        }
+      }
+    }
     this.save();
+    console.log(`[CONFIG] Cookie passphrase set (${opened.size} value(s) unlocked)`);
+    return { success: true, mode: this.cipher.mode, unlocked: opened.size };
   }
 
   getSettings() {
     return { ...this.data.settings };
   }
 
-  setProviderStatus(provider, status) {
-    this.data.providerStatus[provider] = status;
+  // ============================================
+  // Accounts
+  // ============================================
+
+  getAccounts(provider) {
+    return this.data.accounts[provider] || [];
+  }
+
+  // The given account, or the provider's first one
+  getAccount(provider, accountId) {
+    const accounts = this.getAccounts(provider);
+    return (accountId ? accounts.find(a => a.id === accountId) : accounts[0]) || null;
+  }
+
+  addAccount(provider, { name, cookies } = {}) {
+    const errors = this._validateAccountName(provider, name);
+    if (errors.length > 0) return { success: false, errors };
+
+    const account = this._newAccount(provider, { name: name.trim(), cookies });
+    this.data.accounts[provider] = [...this.getAccounts(provider), account];
+    this.save();
+    return { success: true, account };
+  }
+
+  // Only name, enabled and cookies can change; `cookies` is merged into the saved ones
+  // and new values reset the validation status
+  updateAccount(provider, accountId, updates = {}) {
+    const account = this.getAccount(provider, accountId);
+    if (!account) return { success: false, errors: ['Account not found'] };
+
+    if (updates.name !== undefined) {
+      const errors = this._validateAccountName(provider, updates.name, accountId);
+      if (errors.length > 0) return { success: false, errors };
+      account.name = updates.name.trim();
+    }
+    if (updates.enabled !== undefined) account.enabled = !!updates.enabled;
+    if (updates.cookies !== undefined) {
+      const next = { ...account.cookies, ...updates.cookies };
+      if (JSON.stringify(next) !== JSON.stringify(account.cookies)) {
+        for (const key of Object.keys(updates.cookies)) this._locked.delete(`${provider}/${account.id}/${key}`);
+        account.cookies = next;
+        account.status = this._hasCookies(account.cookies) ? 'configured' : 'unconfigured';
+      }
+    }
+    this.save();
+    return { success: true, account };
+  }
+
+  // A provider always keeps at least one account
+  removeAccount(provider, accountId) {
+    const accounts = this.getAccounts(provider);
+    if (!accounts.some(a => a.id === accountId)) return { success: false, errors: ['Account not found'] };
+    if (accounts.length === 1) return { success: false, errors: ['A provider needs at least one account'] };
+
+    this.data.accounts[provider] = accounts.filter(a => a.id !== accountId);
+    for (const key of this._locked.keys()) {
+      if (key.startsWith(`${provider}/${accountId}/`)) this._locked.delete(key);
+    }
+    this.save();
+    return { success: true };
+  }
+
+  _validateAccountName(provider, name, accountId) {
+    if (!getProvider(provider)) return [`Unknown provider "${provider}"`];
+    if (!name || !name.trim()) return ['Account name is required'];
+    const taken = this.getAccounts(provider).some(a => a.id !== accountId && a.name.toLowerCase() === name.trim().toLowerCase());
+    return taken ? [`There is already an account named "${name.trim()}"`] : [];
+  }
+
+  getCookies(provider, accountId) {
+    return this.getAccount(provider, accountId)?.cookies || {};
+  }
+
+  setCookies(provider, cookies, accountId) {
+    const account = this.getAccount(provider, accountId);
+    if (account) this.updateAccount(provider, account.id, { cookies });
+  }
+
+  setProviderStatus(provider, status, accountId) {
+    const account = this.getAccount(provider, accountId);
+    if (!account) return;
+    account.status = status;
     this.save();
   }
 
+  // Best status among the provider's enabled accounts
   getProviderStatus(provider) {
-    return this.data.providerStatus[provider] || 'unconfigured';
+    const statuses = this.getAccounts(provider).filter(a => a.enabled !== false).map(a => a.status);
+    return ['valid', 'configured', 'invalid'].find(status => statuses.includes(status)) || 'unconfigured';
   }
 }
 
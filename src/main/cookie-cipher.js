@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+
+// Stored values look like "enc:v1:safe:<base64>" or "enc:v1:pass:<salt>:<iv>:<tag>:<data>"
+const PREFIX = 'enc:v1:';
+
+// Environment variable holding the passphrase used where safeStorage is unavailable
+const PASSPHRASE_ENV = 'AIVG_COOKIE_PASSPHRASE';
+
+/**
+ * Encrypts cookie values before Config writes them to disk. Uses Electron's
+ * safeStorage (OS keychain / DPAPI / libsecret); where that is unavailable, or
+ * only offers Linux's hard-coded "basic_text" key, an AES-256-GCM key derived
+ * from AIVG_COOKIE_PASSPHRASE (or one entered in Settings, see setPassphrase)
+ * is used instead. With neither, values stay plaintext (mode 'none').
+ */
+class CookieCipher {
+  /**
+   * @param {Object} options - { safeStorage, passphrase }
+   */
+  constructor({ safeStorage = null, passphrase = process.env[PASSPHRASE_ENV] } = {}) {
+    this._safeStorage = safeStorage;
+    this._passphrase = passphrase || null;
+    this._keys = new Map(); // salt -> derived key (scrypt is slow)
+    this._salt = crypto.randomBytes(16).toString('base64');
+
+    const safeAvailable = !!safeStorage && safeStorage.isEncryptionAvailable();
+    const weakBackend = safeAvailable && process.platform === 'linux' &&
+      typeof safeStorage.getSelectedStorageBackend === 'function' &&
+      safeStorage.getSelectedStorageBackend() === 'basic_text';
+
+    if (safeAvailable && !(weakBackend && this._passphrase)) {
+      this.mode = 'safeStorage';
+      if (weakBackend) {
+        console.log(`[CIPHER] No system keyring found; set ${PASSPHRASE_ENV} for stronger cookie encryption`);
+      }
+    } else if (this._passphrase) {
+      this.mode = 'passphrase';
+    } else {
+      this.mode = 'none';
+      console.log(`[CIPHER] Cookies are stored unencrypted: no safeStorage and ${PASSPHRASE_ENV} is not set`);
+    }
+  }
+
+  // Passphrase entered in Settings for this session; it is never written to disk.
+  // Switches mode 'none' to 'passphrase' and opens values encrypted with it.
+  setPassphrase(passphrase) {
+    this._passphrase = passphrase;
+    this._keys.clear();
+    if (this.mode === 'none') this.mode = 'passphrase';
+  }
+
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+  }
+
+  // Encrypted with a passphrase, and none is set
+  needsPassphrase(value) {
+    return this.isEncrypted(value) && value.startsWith(`${PREFIX}pass:`) && !this._passphrase;
+  }
+
+  encrypt(value) {
+    if (!value || this.mode === 'none') return value;
+
+    if (this.mode === 'safeStorage') {
+      return `${PREFIX}safe:${this._safeStorage.encryptString(value).toString('base64')}`;
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this._key(this._salt), iv);
+    const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+    return `${PREFIX}pass:${[this._salt, iv, cipher.getAuthTag(), data]
+      .map(part => typeof part === 'string' ? part : part.toString('base64')).join(':')}`;
+  }
+
+  // Plaintext passes through; throws when the value can't be decrypted here
+  decrypt(value) {
+    if (!this.isEncrypted(value)) return value;
+    const [scheme, ...parts] = value.slice(PREFIX.length).split(':');
+
+    if (scheme === 'safe') {
+      if (!this._safeStorage || !this._safeStorage.isEncryptionAvailable()) {
+        throw new Error('safeStorage is not available');
+      }
+      return this._safeStorage.decryptString(Buffer.from(parts[0], 'base64'));
+    }
+
+    if (scheme === 'pass') {
+      if (!this._passphrase) throw new Error(`${PASSPHRASE_ENV} is not set`);
+      const [salt, iv, tag, data] = parts;
+      const decipher = crypto.createDecipheriv('aes-256-gcm', this._key(salt), Buffer.from(iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(tag, 'base64'));
+      return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+    }
+
+    throw new Error(`Unknown encryption scheme "${scheme}"`);
+  }
+
+  _key(salt) {
+    if (!this._keys.has(salt)) {
+      this._keys.set(salt, crypto.scryptSync(this._passphrase, Buffer.from(salt, 'base64'), 32));
+    }
+    return this._keys.get(salt);
+  }
+}
+
+module.exports = { CookieCipher, PASSPHRASE_ENV };
@@ -0,0 +1,134 @@
+const { getProvider } = require('./providers/registry');
+
+// Netscape files mark HttpOnly cookies with this prefix instead of a column
+const HTTP_ONLY_PREFIX = '#HttpOnly_';
+
+// ============================================
+// Parsing
+// ============================================
+
+/**
+ * Parse a Netscape cookies.txt or a JSON cookie export (Cookie-Editor,
+ * EditThisCookie, Playwright storage state: an array of cookies or
+ * { cookies: [...] }) into [{ domain, name, value, expires }]. `domain` is
+ * lowercased without its leading dot; `expires` is in seconds, 0 for session
+ * cookies. Throws when the text is neither.
+ */
+function parseCookieFile(text) {
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  const cookies = trimmed.startsWith('[') || trimmed.startsWith('{')
+    ? parseJson(trimmed)
+    : parseNetscape(trimmed);
+
+  if (cookies.length === 0) {
+    throw new Error('No cookies found: expected a Netscape cookies.txt or a JSON cookie export');
+  }
+  return cookies;
+}
+
+function parseNetscape(text) {
+  const cookies = [];
+  for (let line of text.split(/\r?\n/)) {
+    if (line.startsWith(HTTP_ONLY_PREFIX)) line = line.slice(HTTP_ONLY_PREFIX.length);
+    else if (line.startsWith('#') || !line.trim()) continue;
+
+    // domain, includeSubdomains, path, secure, expires, name, value
+    const fields = line.split('\t');
+    if (fields.length < 7) continue;
+    cookies.push(normalize({ domain: fields[0], name: fields[5], value: fields.slice(6).join('\t'), expires: fields[4] }));
+  }
+  return cookies.filter(Boolean);
+}
+
+function parseJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid JSON: ${e.message}`);
+  }
+  const list = Array.isArray(data) ? data : data?.cookies;
+  if (!Array.isArray(list)) throw new Error('JSON export must be an array of cookies or { "cookies": [...] }');
+  return cookiesFromList(list);
+}
+
+// Cookie objects as extensions and Playwright's context.cookies() return them
+function cookiesFromList(list) {
+  return list.map(c => c && normalize({
+    domain: c.domain || c.host,
+    name: c.name,
+    value: c.value,
+    expires: c.session ? 0 : (c.expirationDate ?? c.expires ?? c.expiry)
+  })).filter(Boolean);
+}
+
+function normalize({ domain, name, value, expires }) {
+  if (!domain || !name) return null;
+  const seconds = Number(expires);
+  return {
+    domain: String(domain).trim().toLowerCase().replace(/^\./, ''),
+    name: String(name),
+    value: value == null ? '' : String(value),
+    expires: seconds > 0 ? seconds : 0
+  };
+}
+
+// ============================================
+// Matching Provider Cookies
+// ============================================
+
+function matchesDomain(cookieDomain, domain) {
+  return cookieDomain === domain || cookieDomain.endsWith(`.${domain}`);
+}
+
+/**
+ * Pick a provider's cookies out of a parsed export, following its
+ * `cookieImport` rules (see registry.js). Returns { cookies, found, expired }:
+ * `cookies` is ready for Config.setCookies, `found` lists [{ key, name, domain }]
+ * of what was used and `expired` counts matching cookies that were skipped.
+ */
+function extractProviderCookies(providerId, parsed) {
+  const provider = getProvider(providerId);
+  if (!provider) throw new Error(`Unknown provider "${providerId}"`);
+  if (provider.cookieImport.length === 0) throw new Error(`${provider.name} does not support cookie import`);
+
+  const now = Date.now() / 1000;
+  const cookies = {};
+  const headers = {}; // key -> Map(name -> value)
+  const found = [];
+  let expired = 0;
+
+  for (const rule of provider.cookieImport) {
+    const names = rule.header ? null : (rule.names || provider.cookies.map(field => field.key));
+    const matches = parsed
+      .filter(c => matchesDomain(c.domain, rule.domain) && (!names || names.includes(c.name)))
+      // Cookies set on the domain itself win over same-named subdomain ones
+      .sort((a, b) => a.domain.length - b.domain.length);
+
+    for (const cookie of matches) {
+      if (cookie.expires && cookie.expires < now) {
+        expired++;
+        continue;
+      }
+
+      if (rule.header) {
+        const header = headers[rule.header] || (headers[rule.header] = new Map());
+        if (header.has(cookie.name)) continue;
+        header.set(cookie.name, cookie.value);
+        found.push({ key: rule.header, name: cookie.name, domain: cookie.domain });
+      } else {
+        const key = `${cookie.name}${rule.suffix || ''}`;
+        if (key in cookies) continue;
+        cookies[key] = cookie.value;
+        found.push({ key, name: cookie.name, domain: cookie.domain });
+      }
+    }
+  }
+
+  for (const [key, header] of Object.entries(headers)) {
+    cookies[key] = [...header].map(([name, value]) => `${name}=${value}`).join('; ');
+  }
+  return { cookies, found, expired };
+}
+
+module.exports = { parseCookieFile, cookiesFromList, extractProviderCookies };
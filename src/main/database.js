@@ -1,10 +1,18 @@
 const fs = require('fs');
 const path = require('path');
+const { providerIds } = require('./providers/registry');
+
+// Statuses that end a job's lifecycle (stamp completedAt / duration)
+const TERMINAL_STATUSES = ['success', 'failed', 'cancelled', 'interrupted', 'skipped'];
+
+// History keeps this many jobs; older finished ones are dropped (see _trim)
+const MAX_JOBS = 2000;
 
 class Database {
   constructor(dbPath) {
     this.dbPath = dbPath.replace('.db', '.json');
-    this.data = { jobs: [] };
+    this.data = { jobs: [], batches: [], comparisons: [], schedules: [], usage: {} };
+    this._deleted = new Set(); // ids removed from history this session (see isDeleted)
     this._load();
   }
 
@@ -14,20 +22,28 @@ class Database {
         const content = fs.readFileSync(this.dbPath, 'utf8');
         this.data = JSON.parse(content);
         if (!this.data.jobs) this.data.jobs = [];
+        if (!this.data.batches) this.data.batches = [];
+        if (!this.data.comparisons) this.data.comparisons = [];
+        if (!this.data.schedules) this.data.schedules = [];
+        if (!this.data.usage) this.data.usage = {};
       }
     } catch (e) {
       console.error('[DB] Failed to load:', e.message);
-      this.data = { jobs: [] };
+      this.data = { jobs: [], batches: [], comparisons: [], schedules: [], usage: {} };
     }
   }
 
   _save() {
+    if (this._closed) return;
     try {
       const dir = path.dirname(this.dbPath);
       if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
       }
-      fs.writeFileSync(this.dbPath, JSON.stringify(this.data, null, 2));
+      // Write to a temp file then rename, so a crash mid-write never leaves a truncated history
+      const tmpPath = `${this.dbPath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+      fs.renameSync(tmpPath, this.dbPath);
     } catch (e) {
       console.error('[DB] Failed to save:', e.message);
     }
@@ -43,31 +59,61 @@ class Database {
       outputPath: job.outputPath || null,
       status: job.status || 'pending',
       error: job.error || null,
+      errorCategory: null,
       attempts: job.attempts || 0,
       options: job.options || {},
       batchId: job.batchId || null,
+      batchIndex: job.batchIndex || null,
+      stepId: job.stepId || null,
+      dependsOn: job.dependsOn || [],
+      imageFrom: job.imageFrom || null,
+      comparisonId: job.comparisonId || null,
+      parentId: job.parentId || null,
+      variation: job.variation || null,
+      variations: job.variations || null,
+      resumeCount: 0,
       videoUrl: job.videoUrl || null,
+      producedBy: null,
+      account: null, // name of the provider account that produced the output
+      attemptChain: [],
       createdAt: new Date().toISOString(),
       completedAt: null,
       duration: null
     };
 
     this.data.jobs.unshift(entry);
-
-    // Keep last 2000 entries
-    if (this.data.jobs.length > 2000) {
-      this.data.jobs = this.data.jobs.slice(0, 2000);
-    }
+    this._trim();
 
     this._save();
     return entry;
   }
 
+  // Drop the oldest finished jobs past MAX_JOBS. Variation rows don't count
+  // and go with their parent. A job stays however old it is while it or one of
+  // its variations is still queued or running.
+  _trim() {
+    const parents = this.data.jobs.filter(j => !j.parentId);
+    let excess = parents.length - MAX_JOBS;
+    if (excess <= 0) return;
+
+    const unfinished = new Set(this.data.jobs
+      .filter(j => !TERMINAL_STATUSES.includes(j.status))
+      .map(j => j.parentId || j.id));
+    const drop = new Set();
+    // Newest jobs are at the front
+    for (let i = parents.length - 1; i >= 0 && excess > 0; i--) {
+      if (unfinished.has(parents[i].id)) continue;
+      drop.add(parents[i].id);
+      excess--;
+    }
+    if (drop.size > 0) this.data.jobs = this.data.jobs.filter(j => !drop.has(j.id) && !drop.has(j.parentId));
+  }
+
   updateJob(id, updates) {
     const job = this.data.jobs.find(j => j.id === id);
     if (job) {
       Object.assign(job, updates);
-      if (updates.status === 'success' || updates.status === 'failed') {
+      if (TERMINAL_STATUSES.includes(updates.status)) {
         job.completedAt = new Date().toISOString();
         if (job.createdAt) {
           job.duration = Math.round((new Date(job.completedAt) - new Date(job.createdAt)) / 1000);
@@ -79,9 +125,10 @@ class Database {
   }
 
   getJobs(options = {}) {
-    const { limit = 100, offset = 0, status, provider, search, batchId } = options;
+    const { limit = 100, offset = 0, status, provider, search, batchId, includeVariations = false } = options;
 
-    let filtered = this.data.jobs;
+    // Variation rows are listed under their parent job (see getVariations)
+    let filtered = includeVariations ? this.data.jobs : this.data.jobs.filter(j => !j.parentId);
 
     if (status && status !== 'all') {
       filtered = filtered.filter(j => j.status === status);
@@ -111,20 +158,189 @@ class Database {
     return this.data.jobs.find(j => j.id === id) || null;
   }
 
+  // Removed by deleteJob() or clear(), as opposed to never added
+  isDeleted(id) {
+    return this._deleted.has(id);
+  }
+
+  getVariations(parentId) {
+    return this.data.jobs
+      .filter(j => j.parentId === parentId)
+      .sort((a, b) => a.variation - b.variation);
+  }
+
+  // Jobs left pending/running by a previous session, oldest first
+  getUnfinishedJobs() {
+    return this.data.jobs
+      .filter(j => j.status === 'pending' || j.status === 'running')
+      .reverse();
+  }
+
+  // ============================================
+  // Batches
+  // ============================================
+
+  addBatch(batch) {
+    const entry = {
+      id: batch.id,
+      total: batch.total || 0,
+      outputFolder: batch.outputFolder || null,
+      scheduleId: batch.scheduleId || null,
+      status: 'running',
+      createdAt: new Date().toISOString(),
+      completedAt: null
+    };
+
+    this.data.batches.unshift(entry);
+
+    if (this.data.batches.length > 500) {
+      this.data.batches = this.data.batches.slice(0, 500);
+    }
+
+    this._save();
+    return entry;
+  }
+
+  updateBatch(id, updates) {
+    const batch = this.data.batches.find(b => b.id === id);
+    if (batch) {
+      Object.assign(batch, updates);
+      if (updates.status === 'complete' || updates.status === 'cancelled') {
+        batch.completedAt = new Date().toISOString();
+      }
+      this._save();
+    }
+    return batch;
+  }
+
+  getBatch(id) {
+    return this.data.batches.find(b => b.id === id) || null;
+  }
+
+  // ============================================
+  // Comparisons (one prompt fanned out to several providers)
+  // ============================================
+
+  addComparison(comparison) {
+    const entry = {
+      id: comparison.id,
+      prompt: comparison.prompt || '',
+      type: comparison.type,
+      jobIds: comparison.jobIds || [],
+      winner: null,
+      createdAt: new Date().toISOString()
+    };
+
+    this.data.comparisons.unshift(entry);
+
+    if (this.data.comparisons.length > 500) {
+      this.data.comparisons = this.data.comparisons.slice(0, 500);
+    }
+
+    this._save();
+    return entry;
+  }
+
+  // Comparisons with their job rows attached, newest first
+  getComparisons(options = {}) {
+    const { limit = 50, offset = 0 } = options;
+    return this.data.comparisons.slice(offset, offset + limit).map(c => ({
+      ...c,
+      jobs: c.jobIds.map(id => this.getJob(id)).filter(Boolean)
+    }));
+  }
+
+  getComparison(id) {
+    return this.data.comparisons.find(c => c.id === id) || null;
+  }
+
+  setComparisonWinner(id, jobId) {
+    const comparison = this.getComparison(id);
+    if (!comparison) return false;
+    if (jobId !== null && !comparison.jobIds.includes(jobId)) return false;
+    comparison.winner = jobId;
+    this._save();
+    return true;
+  }
+
+  // ============================================
+  // Schedules (kept when history is cleared)
+  // ============================================
+
+  addSchedule(schedule) {
+    const entry = {
+      id: `schedule_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      name: schedule.name || '',
+      enabled: schedule.enabled !== false,
+      job: schedule.job || null,
+      batch: schedule.batch || null,
+      runAt: schedule.runAt,
+      repeat: schedule.repeat || 'none',
+      nextRunAt: schedule.nextRunAt || schedule.runAt,
+      lastRunAt: null,
+      lastBatchId: null,
+      lastError: null,
+      createdAt: new Date().toISOString()
+    };
+
+    this.data.schedules.push(entry);
+    this._save();
+    return entry;
+  }
+
+  updateSchedule(id, updates) {
+    const schedule = this.getSchedule(id);
+    if (schedule) {
+      Object.assign(schedule, updates);
+      this._save();
+    }
+    return schedule;
+  }
+
+  getSchedules() {
+    return [...this.data.schedules].sort((a, b) =>
+      (a.nextRunAt || '\uffff').localeCompare(b.nextRunAt || '\uffff'));
+  }
+
+  getSchedule(id) {
+    return this.data.schedules.find(s => s.id === id) || null;
+  }
+
+  deleteSchedule(id) {
+    const idx = this.data.schedules.findIndex(s => s.id === id);
+    if (idx === -1) return false;
+    this.data.schedules.splice(idx, 1);
+    this._save();
+    return true;
+  }
+
+  // ============================================
+  // Provider quota usage (kept when history is cleared)
+  // ============================================
+
+  getUsage(provider) {
+    return this.data.usage[provider] || null;
+  }
+
+  setUsage(provider, usage) {
+    this.data.usage[provider] = usage;
+    this._save();
+    return usage;
+  }
+
   getStats() {
-    const jobs = this.data.jobs;
+    const jobs = this.data.jobs.filter(j => !j.parentId);
     return {
       total: jobs.length,
       success: jobs.filter(j => j.status === 'success').length,
       failed: jobs.filter(j => j.status === 'failed').length,
       pending: jobs.filter(j => j.status === 'pending').length,
       running: jobs.filter(j => j.status === 'running').length,
-      byProvider: {
-        meta: jobs.filter(j => j.provider === 'meta').length,
-        grok: jobs.filter(j => j.provider === 'grok').length,
-        whisk: jobs.filter(j => j.provider === 'whisk').length,
-        imagefx: jobs.filter(j => j.provider === 'imagefx').length
-      }
+      interrupted: jobs.filter(j => j.status === 'interrupted').length,
+      skipped: jobs.filter(j => j.status === 'skipped').length,
+      byProvider: Object.fromEntries(
+        providerIds().map(provider => [provider, jobs.filter(j => j.provider === provider).length])
+      )
     };
   }
 
@@ -132,6 +348,9 @@ class Database {
     const idx = this.data.jobs.findIndex(j => j.id === id);
     if (idx !== -1) {
       this.data.jobs.splice(idx, 1);
+      this._deleted.add(id);
+      // Drop the job's variation rows with it
+      this.data.jobs = this.data.jobs.filter(j => j.parentId !== id);
       this._save();
       return true;
     }
@@ -139,13 +358,18 @@ class Database {
   }
 
   clear() {
+    for (const job of this.data.jobs) this._deleted.add(job.id);
     this.data.jobs = [];
+    this.data.batches = [];
+    this.data.comparisons = [];
     this._save();
     return true;
   }
 
+  // Stop writing to disk; later changes only live in memory. Used on quit so
+  // that jobs torn down with the app keep their state for the next launch.
   close() {
-    // No-op for JSON storage
+    this._closed = true;
   }
 }
 
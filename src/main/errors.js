@@ -0,0 +1,112 @@
+/**
+ * Shared error taxonomy. Converters and the orchestrator sort failure messages
+ * into these categories; each has a History label, a hint for the user and a
+ * default retry policy (overridable via settings.retryPolicy).
+ *
+ * Order matters: the first pattern that matches wins. Patterns are anchored to
+ * the messages converters and API clients actually throw, since auth-expired
+ * marks the account invalid and invalid-input is never retried.
+ */
+const ERROR_CATEGORIES = {
+  'auth-expired': {
+    label: 'Sign-in expired',
+    hint: 'Cookies are missing or expired. Paste fresh cookies in Settings and click Validate.',
+    pattern: /not logged in|no (valid )?[\w ]*cookies provided|no enabled .* account|status(?: code)? 401\b|\b401 unauthori[sz]ed|unauthenticated|invalid authentication credentials|log ?in required|session expired|auth token (expired|invalid)|invalid or missing account/i,
+    retry: { retries: 0 }
+  },
+  moderated: {
+    label: 'Blocked by moderation',
+    hint: 'The provider refused this prompt or image. Rephrase the prompt or use a different image.',
+    pattern: /unsafe|moderat|content policy|policy violation|violat|safety|prominent.?people|inappropriate|not allowed/i,
+    retry: { retries: 0 }
+  },
+  quota: {
+    label: 'Quota or high traffic',
+    hint: 'The provider is rate limiting or out of quota. Lower the rate limits or wait for the quota to reset.',
+    pattern: /HIGH_TRAFFIC|high traffic|\b429\b|RESOURCE_EXHAUSTED|quota|budget|too many requests|rate.?limit|usage limit|daily limit/i,
+    retry: { retries: 2, baseDelay: 300, maxDelay: 1800 }
+  },
+  'generation-failed': {
+    label: 'Generation failed',
+    hint: 'The provider failed to generate this job on its side. Retry later or try another provider.',
+    pattern: /GENERATION_STATUS_FAILED|generation failed on/i,
+    retry: { retries: 0 }
+  },
+  'invalid-input': {
+    label: 'Invalid input',
+    hint: 'Check the prompt, image path and options for this job.',
+    pattern: /image file not found|does not support|only landscape|(prompt|image) is required|cannot be empty|"options\.\w+".* must be|invalid (model|image|prompt)|unknown (job type|provider)/i,
+    retry: { retries: 0 }
+  },
+  'selector-missing': {
+    label: 'Page changed',
+    hint: 'The provider\'s page layout changed and an element could not be found. An app update may be needed.',
+    // Before timeout: Playwright reports a missing element as "Timeout ... waiting for locator(...)"
+    pattern: /could not find|waiting for (locator|selector)|locator\(|element (is )?not (found|visible|attached|enabled)|failed to upload image/i,
+    retry: { retries: 1, baseDelay: 30, maxDelay: 30 }
+  },
+  timeout: {
+    label: 'Timed out',
+    hint: 'The provider took too long. It may be busy; retry later.',
+    pattern: /timed? ?out|timeout/i,
+    // A timed-out job has usually been through the converter's own retries already
+    retry: { retries: 1, baseDelay: 30, maxDelay: 300 }
+  },
+  'download-failed': {
+    label: 'Download failed',
+    hint: 'The result was generated but could not be saved. Check the output folder and your connection.',
+    pattern: /download|failed to fetch (image|video)|failed to save/i,
+    retry: { retries: 3, baseDelay: 10, maxDelay: 120 }
+  },
+  network: {
+    label: 'Network error',
+    hint: 'Check your internet connection or proxy, then retry.',
+    pattern: /ECONNRESET|ECONNREFUSED|ENOTFOUND|EAI_AGAIN|socket hang up|net::ERR|fetch failed|getaddrinfo|network/i,
+    retry: { retries: 3, baseDelay: 15, maxDelay: 300 }
+  },
+  unknown: {
+    label: 'Failed',
+    hint: 'See the error message for details.',
+    pattern: null,
+    retry: { retries: 1, baseDelay: 30, maxDelay: 60 }
+  }
+};
+
+function classifyError(message) {
+  const text = String(message || '');
+  for (const [category, def] of Object.entries(ERROR_CATEGORIES)) {
+    if (def.pattern && def.pattern.test(text)) return category;
+  }
+  return 'unknown';
+}
+
+// Whether retrying the same request can help (converters use this for their own retry loops)
+function isRetryable(category) {
+  return (ERROR_CATEGORIES[category] || ERROR_CATEGORIES.unknown).retry.retries > 0;
+}
+
+/**
+ * Seconds to wait before retry number `retry` (0-based) of a job that failed with
+ * `category`, or null when the policy allows no more retries.
+ */
+function retryDelay(category, retry, policyOverrides = {}) {
+  const policy = {
+    baseDelay: 30,
+    maxDelay: 300,
+    ...(ERROR_CATEGORIES[category] || ERROR_CATEGORIES.unknown).retry,
+    ...(policyOverrides[category] || {})
+  };
+  if (retry >= (Number(policy.retries) || 0)) return null;
+  return Math.min(policy.baseDelay * Math.pow(2, retry), policy.maxDelay);
+}
+
+// Labels and hints for the renderer (patterns don't survive IPC)
+function describeCategories() {
+  const out = {};
+  for (const [category, { label, hint }] of Object.entries(ERROR_CATEGORIES)) {
+    out[category] = { label, hint };
+  }
+  return out;
+}
+
+module.exports = { ERROR_CATEGORIES, classifyError, isRetryable, retryDelay, describeCategories };
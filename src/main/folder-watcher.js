@@ -0,0 +1,238 @@
+const fs = require('fs');
+const path = require('path');
+
+// Same extensions as the image picker (file:select)
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+// Polling rather than fs.watch: it also works on network shares, and a file
+// is only picked up once its size stops changing between two polls.
+const POLL_INTERVAL_MS = 5 * 1000;
+
+const SUBFOLDERS = { processing: 'processing', done: 'done', failed: 'failed', output: 'output' };
+
+const FINAL_STATUSES = ['success', 'failed', 'cancelled', 'interrupted', 'skipped'];
+
+/**
+ * Watch-folder mode (settings.watchFolder). Every image dropped into the folder
+ * is moved to processing/ and queued as an image-to-video job; once the job
+ * settles the image moves on to done/ or failed/ (with a .txt note of the
+ * error). Clips are saved to output/ in the same folder. Jobs queued from a
+ * folder are filed there even after the watcher stops or moves to another one.
+ */
+class FolderWatcher {
+  constructor(config, orchestrator, database) {
+    this.config = config;
+    this.orchestrator = orchestrator;
+    this.db = database;
+    this._timer = null;
+    this._folder = null;
+    this._error = null;
+    this._sizes = new Map(); // file name -> size seen on the previous poll
+    this._jobs = new Map(); // jobId -> image path in <folder>/processing/
+  }
+
+  _settings() {
+    return {
+      enabled: false,
+      folder: '',
+      provider: 'meta',
+      promptTemplate: '',
+      aspectRatio: '9:16',
+      ...this.config.get('settings.watchFolder')
+    };
+  }
+
+  // Start, restart or stop to match the saved settings
+  applySettings() {
+    const { enabled, folder } = this._settings();
+    if (!enabled || !folder) return this.stop();
+    if (this._timer && this._folder === folder) return this.getStatus();
+    this.stop();
+    return this.start();
+  }
+
+  start() {
+    const { folder } = this._settings();
+    try {
+      for (const sub of Object.values(SUBFOLDERS)) {
+        fs.mkdirSync(path.join(folder, sub), { recursive: true });
+      }
+    } catch (e) {
+      this._error = `Cannot use ${folder}: ${e.message}`;
+      console.log(`[WATCH] ${this._error}`);
+      return this.getStatus();
+    }
+
+    this._folder = folder;
+    this._error = null;
+    this._recover();
+    this._timer = setInterval(() => this._poll(), POLL_INTERVAL_MS);
+    console.log(`[WATCH] Watching ${folder}`);
+    return this.getStatus();
+  }
+
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+      console.log(`[WATCH] Stopped watching ${this._folder}`);
+    }
+    this._folder = null;
+    this._sizes.clear();
+    // Jobs already queued keep running and are still filed when they settle
+    return this.getStatus();
+  }
+
+  getStatus() {
+    return { watching: !!this._timer, folder: this._folder, error: this._error || null, queued: this._jobs.size };
+  }
+
+  // Called with every progress event (see emitProgress in main.js)
+  handleEvent(data) {
+    if (!this._jobs.has(data.jobId)) return;
+    if (data.event === 'complete') this._settle(data.jobId, true);
+    if (data.event === 'failed' || data.event === 'cancelled') {
+      this._settle(data.jobId, false, data.error || 'Cancelled');
+    }
+  }
+
+  // ============================================
+  // Polling
+  // ============================================
+
+  _poll() {
+    let entries;
+    try {
+      entries = fs.readdirSync(this._folder, { withFileTypes: true });
+    } catch (e) {
+      console.log(`[WATCH] Cannot read ${this._folder}: ${e.message}`);
+      return;
+    }
+
+    const seen = new Set();
+    for (const entry of entries) {
+      if (!entry.isFile() || entry.name.startsWith('.')) continue;
+      if (!IMAGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) continue;
+      seen.add(entry.name);
+
+      let size;
+      try {
+        size = fs.statSync(path.join(this._folder, entry.name)).size;
+      } catch (e) {
+        continue; // removed since readdir
+      }
+
+      // Still being copied in: wait until the size holds for a full poll
+      if (size === 0 || this._sizes.get(entry.name) !== size) {
+        this._sizes.set(entry.name, size);
+        continue;
+      }
+      this._sizes.delete(entry.name);
+      this._queue(entry.name);
+    }
+
+    for (const name of this._sizes.keys()) {
+      if (!seen.has(name)) this._sizes.delete(name);
+    }
+  }
+
+  async _queue(name) {
+    const settings = this._settings();
+    const image = this._move(path.join(this._folder, name), SUBFOLDERS.processing);
+    if (!image) return;
+
+    let result;
+    try {
+      result = await this.orchestrator.submitJob({
+        provider: settings.provider,
+        type: 'image-to-video',
+        image,
+        prompt: this._prompt(settings.promptTemplate, name),
+        options: { aspectRatio: settings.aspectRatio },
+        outputFolder: path.join(this._folder, SUBFOLDERS.output)
+      });
+    } catch (e) {
+      result = { success: false, errors: [e.message] };
+    }
+
+    if (!result.success) {
+      console.log(`[WATCH] ${name} rejected: ${result.errors.join('; ')}`);
+      this._file(image, false, result.errors.join('\n'));
+      return;
+    }
+    console.log(`[WATCH] Queued ${name} as ${result.jobId}`);
+    this._jobs.set(result.jobId, image);
+  }
+
+  // {name} is the file name without its extension
+  _prompt(template, name) {
+    return (template || '').replace(/\{name\}/g, path.basename(name, path.extname(name))).trim();
+  }
+
+  // ============================================
+  // Filing Source Images
+  // ============================================
+
+  _settle(jobId, success, error) {
+    const image = this._jobs.get(jobId);
+    this._jobs.delete(jobId);
+    const moved = this._file(image, success, error);
+    // History keeps pointing at the image, so Retry still works
+    if (moved) this.db.updateJob(jobId, { imagePath: moved });
+  }
+
+  _file(image, success, error) {
+    // Into the folder the image was queued from, which may no longer be the watched one
+    const root = path.dirname(path.dirname(image));
+    const moved = this._move(image, success ? SUBFOLDERS.done : SUBFOLDERS.failed, root);
+    if (moved && !success) {
+      try {
+        fs.writeFileSync(`${moved}.txt`, `${error}\n`);
+      } catch (e) {
+        console.log(`[WATCH] Could not write error note for ${path.basename(moved)}: ${e.message}`);
+      }
+    }
+    return moved;
+  }
+
+  // Move into a subfolder of a watch folder, never overwriting; returns the new path
+  _move(file, subfolder, root = this._folder) {
+    const ext = path.extname(file);
+    const base = path.basename(file, ext);
+    let target = path.join(root, subfolder, `${base}${ext}`);
+    if (fs.existsSync(target)) target = path.join(root, subfolder, `${base}_${Date.now()}${ext}`);
+
+    try {
+      fs.renameSync(file, target);
+      return target;
+    } catch (e) {
+      console.log(`[WATCH] Could not move ${path.basename(file)} to ${subfolder}/: ${e.message}`);
+      return null;
+    }
+  }
+
+  // Images left in processing/ by a previous session, in this or an earlier
+  // watch folder: file the ones whose job finished and keep tracking the ones
+  // still queued (resumeInterrupted requeues them)
+  _recover() {
+    const jobs = this.db.getJobs({ limit: Infinity }).filter(j => this._isWatchJob(j) && !this._jobs.has(j.id));
+
+    for (const job of jobs) {
+      if (!fs.existsSync(job.imagePath)) continue;
+      this._jobs.set(job.id, job.imagePath);
+      if (FINAL_STATUSES.includes(job.status)) {
+        this._settle(job.id, job.status === 'success', job.error || `Job ${job.status}`);
+      }
+    }
+  }
+
+  // Queued by _queue(): the image sits in <folder>/processing/ and the clip goes to <folder>/output/
+  _isWatchJob(job) {
+    if (!job.imagePath || !job.outputPath) return false;
+    const processing = path.dirname(job.imagePath);
+    if (path.basename(processing) !== SUBFOLDERS.processing) return false;
+    return path.dirname(job.outputPath) === path.join(path.dirname(processing), SUBFOLDERS.output);
+  }
+}
+
+module.exports = { FolderWatcher };
@@ -1,20 +1,41 @@
-const { app, BrowserWindow, ipcMain, dialog, shell } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, shell, safeStorage, Notification } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const { Config } = require('./config');
 const { Database } = require('./database');
-const { Orchestrator, CAPABILITIES } = require('./orchestrator');
+const { Orchestrator } = require('./orchestrator');
+const { providerIds, getProvider, describeProviders, loadProviderModules } = require('./providers/registry');
+const { Scheduler } = require('./scheduler');
+const { describeCategories } = require('./errors');
+const { runCli, getCliArgs } = require('./cli');
+const { ApiServer } = require('./api-server');
+const { FolderWatcher } = require('./folder-watcher');
+const { CookieCipher } = require('./cookie-cipher');
+const { parseCookieFile, extractProviderCookies } = require('./cookie-import');
+const { loginWithBrowser, closeLoginBrowsers } = require('./browser-login');
+const { ProfileStore } = require('./profiles');
+const { SessionMonitor } = require('./session-monitor');
+const { validateNetwork } = require('./network');
+const { resolveBrowser } = require('./browser');
 
 let mainWindow;
 let config;
 let db;
 let orchestrator;
+let scheduler;
+let apiServer;
+let folderWatcher;
+let sessionMonitor;
 
 // Paths
 const configPath = path.join(app.getPath('userData'), 'config.json');
 const dbPath = path.join(app.getPath('userData'), 'history.json');
 const outputDir = path.join(app.getPath('userData'), 'output');
 const uploadsDir = path.join(app.getPath('userData'), 'uploads');
+// In-house provider modules (see providers/registry.js)
+const providersDir = path.join(app.getPath('userData'), 'providers');
+// Persistent browser profiles, one folder per provider and account (see profiles.js)
+const profilesDir = path.join(app.getPath('userData'), 'profiles');
 
 function createWindow() {
   mainWindow = new BrowserWindow({
@@ -37,8 +58,11 @@ function createWindow() {
   // mainWindow.webContents.openDevTools();
 }
 
-// Emit progress events to renderer
+// Emit progress events to renderer (and to API event streams and the watch folder)
 function emitProgress(data) {
+  if (apiServer) apiServer.broadcast(data);
+  if (folderWatcher) folderWatcher.handleEvent(data);
+
   if (mainWindow && !mainWindow.isDestroyed()) {
     mainWindow.webContents.send('job:progress', data);
 
@@ -56,7 +80,40 @@ function emitProgress(data) {
 
 // ============ App Lifecycle ============
 
+// `electron . --cli batch.json` runs one batch headless and exits (see cli.js)
+const cliArgs = getCliArgs(process.argv);
+
+// One process per data directory: the app and the CLI share history.json and
+// the browser profiles, and would overwrite each other's writes
+const hasLock = app.requestSingleInstanceLock();
+if (!hasLock) {
+  if (cliArgs) {
+    process.stderr.write('AI Video Generator (or another --cli run) is already running; close it or wait for it to finish.\n');
+    app.exit(2);
+  } else {
+    app.quit();
+  }
+}
+
+app.on('second-instance', (event, argv) => {
+  // A refused CLI run reports that itself
+  if (getCliArgs(argv) || !mainWindow || mainWindow.isDestroyed()) return;
+  if (mainWindow.isMinimized()) mainWindow.restore();
+  mainWindow.focus();
+});
+
 app.whenReady().then(async () => {
+  if (!hasLock) return;
+  if (cliArgs) {
+    if (app.dock) app.dock.hide();
+    const code = await runCli(cliArgs, {
+      userDataDir: app.getPath('userData'),
+      cipher: new CookieCipher({ safeStorage })
+    });
+    app.exit(code);
+    return;
+  }
+
   // Create storage dirs
   for (const dir of [outputDir, uploadsDir]) {
     if (!fs.existsSync(dir)) {
@@ -64,10 +121,19 @@ app.whenReady().then(async () => {
     }
   }
 
-  // Initialize modules
-  config = new Config(configPath);
+  // Initialize modules (extra providers first: config defaults are built from the registry)
+  loadProviderModules(providersDir);
+  config = new Config(configPath, { cipher: new CookieCipher({ safeStorage }) });
   db = new Database(dbPath);
-  orchestrator = new Orchestrator(config, db, emitProgress);
+  orchestrator = new Orchestrator(config, db, emitProgress, { profiles: new ProfileStore(profilesDir) });
+  scheduler = new Scheduler(db, orchestrator, emitProgress);
+  apiServer = new ApiServer({ config, db, orchestrator, defaultOutputDir: outputDir });
+  folderWatcher = new FolderWatcher(config, orchestrator, db);
+  sessionMonitor = new SessionMonitor(config, orchestrator, {
+    notify: (title, body) => {
+      if (Notification.isSupported()) new Notification({ title, body }).show();
+    }
+  });
 
   createWindow();
 
@@ -76,12 +142,31 @@ app.whenReady().then(async () => {
     config.set('settings.outputFolder', outputDir);
   }
 
+  // Pick up jobs left pending/running by a crash or forced quit once the UI can show progress
+  mainWindow.webContents.once('did-finish-load', () => {
+    // Before resuming, so resumed batches get their pre-batch session check
+    sessionMonitor.applySettings();
+    try {
+      orchestrator.resumeInterrupted();
+    } catch (e) {
+      console.log(`[MAIN] Resume failed: ${e.message}`);
+    }
+    scheduler.start();
+    apiServer.applySettings();
+    folderWatcher.applySettings();
+  });
+
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) createWindow();
   });
 });
 
 app.on('window-all-closed', async () => {
+  await closeLoginBrowsers();
+  if (scheduler) scheduler.stop();
+  if (folderWatcher) folderWatcher.stop();
+  if (sessionMonitor) sessionMonitor.stop();
+  if (apiServer) await apiServer.stop();
   // Cleanup converters
   if (orchestrator) {
     await orchestrator.shutdown();
@@ -91,6 +176,11 @@ app.on('window-all-closed', async () => {
 });
 
 app.on('before-quit', async () => {
+  await closeLoginBrowsers();
+  if (scheduler) scheduler.stop();
+  if (folderWatcher) folderWatcher.stop();
+  if (sessionMonitor) sessionMonitor.stop();
+  if (apiServer) await apiServer.stop();
   if (orchestrator) {
     await orchestrator.shutdown();
   }
@@ -152,25 +242,96 @@ ipcMain.handle('job:cancel-all', () => {
   return true;
 });
 
+// scope: { batchId } | { provider } | {} for everything
+ipcMain.handle('job:pause', (_event, scope) => {
+  return orchestrator.pause(scope || {});
+});
+
+ipcMain.handle('job:resume', (_event, scope) => {
+  return orchestrator.resume(scope || {});
+});
+
+ipcMain.handle('job:pause-state', () => {
+  return orchestrator.getPauseState();
+});
+
 ipcMain.handle('job:retry', async (_event, jobId) => {
   return await orchestrator.retryJob(jobId);
 });
 
 // ============ Cookie Management ============
 
-ipcMain.handle('cookies:save', (_event, provider, cookies) => {
-  config.setCookies(provider, cookies);
+// accountId is optional: the provider's first account
+ipcMain.handle('cookies:save', (_event, provider, cookies, accountId) => {
+  // Status goes back to configured/unconfigured when the cookies change
+  config.setCookies(provider, cookies, accountId);
+  return true;
+});
 
-  // Update provider status based on whether cookies are provided
-  const hasCookies = Object.values(cookies).some(v => v && v.trim());
-  config.setProviderStatus(provider, hasCookies ? 'configured' : 'unconfigured');
+// Encrypt cookies with a passphrase where there is no keychain, or unlock ones saved with it
+ipcMain.handle('cookies:passphrase', (_event, passphrase) => {
+  return config.setCookiePassphrase(passphrase);
+});
 
-  return true;
+// Pick a cookies.txt / JSON export and save the provider's cookies from it to the account.
+// The values stay in the main process; the renderer gets the cookie names that were found.
+ipcMain.handle('cookies:import', async (_event, provider, accountId) => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Import Cookies',
+    filters: [
+      { name: 'Cookie Exports', extensions: ['txt', 'json'] },
+      { name: 'All Files', extensions: ['*'] }
+    ],
+    properties: ['openFile']
+  });
+  if (result.canceled || result.filePaths.length === 0) return null;
+
+  const file = path.basename(result.filePaths[0]);
+  try {
+    const parsed = parseCookieFile(fs.readFileSync(result.filePaths[0], 'utf8'));
+    const { cookies, found, expired } = extractProviderCookies(provider, parsed);
+    if (found.length === 0) {
+      const domains = describeProviders()[provider].cookieDomains.join(', ');
+      return {
+        success: false,
+        errors: [`No ${expired ? 'unexpired ' : ''}cookies for ${domains} in ${file}`]
+      };
+    }
+    config.setCookies(provider, cookies, accountId);
+    console.log(`[MAIN] Imported ${found.length} ${provider} cookies from ${file}`);
+    return { success: true, file, found, expired };
+  } catch (e) {
+    return { success: false, errors: [`${file}: ${e.message}`] };
+  }
+});
+
+// Resolves once the user has signed in in the opened window (or closed it)
+ipcMain.handle('cookies:login', async (_event, provider, accountId) => {
+  try {
+    // Sign in inside the account's profile when it has one; its browser has to be closed for that
+    const profileDir = orchestrator.profileDir(provider, accountId);
+    if (profileDir) {
+      const released = await orchestrator.releaseAccount(provider, accountId);
+      if (!released.success) return released;
+    }
+    const network = config.get('settings.network')?.[provider];
+    const { cookies, found } = await loginWithBrowser(provider, accountId, {
+      profileDir, network, browserSettings: config.get('settings.browser')
+    });
+    config.setCookies(provider, cookies, accountId);
+    // Signed in by the same checks validation makes
+    orchestrator.markAccountValid(provider, accountId);
+    return { success: true, found };
+  } catch (e) {
+    console.log(`[MAIN] ${provider} browser login failed: ${e.message}`);
+    return { success: false, errors: [e.message] };
+  }
 });
 
-ipcMain.handle('cookies:validate', async (_event, provider) => {
+// Without accountId, validates every enabled account of the provider
+ipcMain.handle('cookies:validate', async (_event, provider, accountId) => {
   try {
-    const valid = await orchestrator.validateProvider(provider);
+    const valid = await orchestrator.validateProvider(provider, accountId);
     return valid;
   } catch (e) {
     return false;
@@ -178,28 +339,199 @@ ipcMain.handle('cookies:validate', async (_event, provider) => {
 });
 
 ipcMain.handle('cookies:status', () => {
+  return Object.fromEntries(providerIds().map(provider => [provider, config.getProviderStatus(provider)]));
+});
+
+ipcMain.handle('accounts:add', (_event, provider, def) => {
+  return config.addAccount(provider, def);
+});
+
+// updates: { name, enabled, cookies }
+ipcMain.handle('accounts:update', (_event, provider, accountId, updates) => {
+  return config.updateAccount(provider, accountId, updates);
+});
+
+ipcMain.handle('accounts:remove', async (_event, provider, accountId) => {
+  const result = config.removeAccount(provider, accountId);
+  if (result.success) await orchestrator.resetProfile(provider, accountId);
+  return result;
+});
+
+// ============ Browser Profiles ============
+
+ipcMain.handle('profiles:inspect', (_event, provider, accountId) => {
   return {
-    meta: config.getProviderStatus('meta'),
-    grok: config.getProviderStatus('grok'),
-    whisk: config.getProviderStatus('whisk'),
-    imagefx: config.getProviderStatus('imagefx')
+    enabled: !!orchestrator.profileDir(provider, accountId),
+    ...orchestrator.profiles.inspect(provider, accountId)
   };
 });
 
+ipcMain.handle('profiles:reset', (_event, provider, accountId) => {
+  return orchestrator.resetProfile(provider, accountId);
+});
+
+ipcMain.handle('profiles:open', async (_event, provider, accountId) => {
+  const dir = orchestrator.profiles.dir(provider, accountId);
+  if (!fs.existsSync(dir)) return false;
+  return (await shell.openPath(dir)) === '';
+});
+
+ipcMain.handle('provider:circuit', () => {
+  return orchestrator.getCircuitStatus();
+});
+
+ipcMain.handle('errors:categories', () => {
+  return describeCategories();
+});
+
 // ============ Config ============
 
 ipcMain.handle('config:load', () => {
   return config.getAll();
 });
 
-ipcMain.handle('config:save', (_event, settings) => {
+ipcMain.handle('config:save', async (_event, settings) => {
+  if (settings.network !== undefined) {
+    const errors = validateNetwork(settings.network, getProvider);
+    if (errors.length > 0) return { success: false, errors };
+  }
   if (settings.outputFolder !== undefined) config.set('settings.outputFolder', settings.outputFolder);
   if (settings.retryAttempts !== undefined) config.set('settings.retryAttempts', settings.retryAttempts);
   if (settings.delayBetween !== undefined) config.set('settings.delayBetween', settings.delayBetween);
   if (settings.namingPattern !== undefined) config.set('settings.namingPattern', settings.namingPattern);
+  if (settings.fallbackProviders !== undefined) config.set('settings.fallbackProviders', settings.fallbackProviders);
+  if (settings.resumeOnStartup !== undefined) config.set('settings.resumeOnStartup', settings.resumeOnStartup);
+  if (settings.interruptedJobPolicy !== undefined) config.set('settings.interruptedJobPolicy', settings.interruptedJobPolicy);
+  if (settings.rateLimits !== undefined) config.set('settings.rateLimits', settings.rateLimits);
+  if (settings.circuitBreaker !== undefined) config.set('settings.circuitBreaker', settings.circuitBreaker);
+  if (settings.accountRotation !== undefined) config.set('settings.accountRotation', settings.accountRotation);
+  if (settings.browserProfiles !== undefined) {
+    const previous = config.get('settings.browserProfiles') || {};
+    config.set('settings.browserProfiles', settings.browserProfiles);
+    // Idle browsers reopen with (or without) their profile on the next job
+    for (const provider of Object.keys(settings.browserProfiles)) {
+      if (!!previous[provider] === !!settings.browserProfiles[provider]) continue;
+      for (const account of config.getAccounts(provider)) await orchestrator.releaseAccount(provider, account.id);
+    }
+  }
+  if (settings.network !== undefined) {
+    const previous = config.get('settings.network') || {};
+    config.set('settings.network', settings.network);
+    // A proxy is set when the browser starts: idle ones restart with the new settings
+    for (const provider of Object.keys(settings.network)) {
+      if (JSON.stringify(previous[provider]) === JSON.stringify(settings.network[provider])) continue;
+      for (const account of config.getAccounts(provider)) await orchestrator.releaseAccount(provider, account.id);
+    }
+  }
+  if (settings.browserPool !== undefined) config.set('settings.browserPool', settings.browserPool);
+  if (settings.browser !== undefined) {
+    const previous = config.get('settings.browser') || {};
+    config.set('settings.browser', settings.browser);
+    // Idle browsers relaunch with the new executable on their next job
+    if (JSON.stringify(previous) !== JSON.stringify(settings.browser)) {
+      for (const provider of providerIds()) {
+        for (const account of config.getAccounts(provider)) await orchestrator.releaseAccount(provider, account.id);
+      }
+    }
+  }
+  if (settings.api !== undefined) {
+    // The token is only changed through api:regenerate-token
+    config.set('settings.api', { ...config.get('settings.api'), enabled: !!settings.api.enabled, port: settings.api.port });
+    await apiServer.applySettings();
+  }
+  if (settings.sessionMonitor !== undefined) {
+    config.set('settings.sessionMonitor', settings.sessionMonitor);
+    sessionMonitor.applySettings();
+  }
+  if (settings.watchFolder !== undefined) {
+    config.set('settings.watchFolder', settings.watchFolder);
+    folderWatcher.applySettings();
+  }
   return true;
 });
 
+// Which browser the Playwright providers would launch with these settings (unsaved ones from the form)
+ipcMain.handle('browser:detect', (_event, settings) => {
+  try {
+    const { name, executablePath, channel } = resolveBrowser(settings || config.get('settings.browser'));
+    return { success: true, name, executablePath: executablePath || null, channel: channel || null };
+  } catch (e) {
+    return { success: false, errors: [e.message] };
+  }
+});
+
+ipcMain.handle('sessions:status', () => {
+  return sessionMonitor.getStatus();
+});
+
+// "Check Now": every provider, regardless of when accounts were last checked
+ipcMain.handle('sessions:check', async () => {
+  await sessionMonitor.check();
+  return sessionMonitor.getStatus();
+});
+
+ipcMain.handle('watch:status', () => {
+  return folderWatcher.getStatus();
+});
+
+// ============ Local API ============
+
+ipcMain.handle('api:status', () => {
+  return apiServer.getStatus();
+});
+
+ipcMain.handle('api:regenerate-token', () => {
+  return apiServer.regenerateToken();
+});
+
+ipcMain.handle('quota:usage', () => {
+  return orchestrator.rateLimiter.getUsage();
+});
+
+// ============ Comparisons ============
+
+ipcMain.handle('compare:submit', async (_event, request) => {
+  try {
+    return await orchestrator.submitComparison(request);
+  } catch (e) {
+    return { success: false, errors: [e.message] };
+  }
+});
+
+ipcMain.handle('compare:list', (_event, options) => {
+  return db.getComparisons(options || {});
+});
+
+ipcMain.handle('compare:winner', (_event, comparisonId, jobId) => {
+  return db.setComparisonWinner(comparisonId, jobId);
+});
+
+// ============ Schedules ============
+
+ipcMain.handle('schedule:list', () => {
+  return scheduler.getSchedules();
+});
+
+ipcMain.handle('schedule:add', (_event, def) => {
+  try {
+    return scheduler.addSchedule(def);
+  } catch (e) {
+    return { success: false, errors: [e.message] };
+  }
+});
+
+ipcMain.handle('schedule:update', (_event, id, updates) => {
+  return scheduler.updateSchedule(id, updates);
+});
+
+ipcMain.handle('schedule:delete', (_event, id) => {
+  return scheduler.deleteSchedule(id);
+});
+
+ipcMain.handle('schedule:run', (_event, id) => {
+  return scheduler.runNow(id);
+});
+
 // ============ History ============
 
 ipcMain.handle('history:get', (_event, options) => {
@@ -307,5 +639,5 @@ ipcMain.handle('util:open-folder', async (_event, filePath) => {
 });
 
 ipcMain.handle('util:capabilities', () => {
-  return CAPABILITIES;
+  return describeProviders();
 });
@@ -0,0 +1,143 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Per-provider network settings (settings.network[provider]):
+ *
+ *   proxy     - 'http://host:port', 'https://…', 'socks4://…' or 'socks5://…';
+ *               a bare 'host:port' is an HTTP proxy. HTTP proxies may carry
+ *               'user:password@'. Empty for a direct connection.
+ *   userAgent - replaces the default (browser.js USER_AGENT for the browser
+ *               providers, Node's own for the API clients). Empty keeps it.
+ *   locale    - e.g. 'en-US'; sets the browser locale and Accept-Language.
+ *
+ * The Playwright providers pass them to openBrowser(). The API clients
+ * (whisk-api, imagefx-api) call the global fetch() themselves, so converters
+ * wrap their methods with bindNetwork() and requests made while one runs are
+ * sent with its settings.
+ */
+
+const PROXY_SCHEMES = ['http', 'https', 'socks4', 'socks5'];
+
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+function hasNetworkSettings(network) {
+  return !!(network && (network.proxy || network.userAgent || network.locale));
+}
+
+/**
+ * '' -> null, otherwise { server: 'scheme://host:port', username, password }
+ * as Playwright's `proxy` option takes it. Throws on anything else.
+ */
+function parseProxy(value) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  let url;
+  try {
+    url = new URL(text.includes('://') ? text : `http://${text}`);
+  } catch (e) {
+    throw new Error(`Invalid proxy "${text}": expected scheme://host:port`);
+  }
+
+  const scheme = url.protocol.replace(/:$/, '');
+  if (!PROXY_SCHEMES.includes(scheme)) {
+    throw new Error(`Unsupported proxy "${text}": use http://, https://, socks4:// or socks5://`);
+  }
+  if (!url.hostname || !url.port) {
+    throw new Error(`Invalid proxy "${text}": a host and port are required`);
+  }
+
+  const username = decodeURIComponent(url.username);
+  const password = decodeURIComponent(url.password);
+  // Chrome can't authenticate to SOCKS proxies
+  if (username && scheme.startsWith('socks')) {
+    throw new Error('SOCKS proxies with a username and password are not supported');
+  }
+  return { server: `${scheme}://${url.host}`, username, password };
+}
+
+/**
+ * Problems with a settings.network object, as messages for the Settings
+ * screen; empty when it can be saved. `describe(provider)` gives the
+ * registry entry (name and method).
+ */
+function validateNetwork(network, describe) {
+  const errors = [];
+  for (const [provider, settings] of Object.entries(network || {})) {
+    const def = describe(provider);
+    const name = def?.name || provider;
+    try {
+      const proxy = parseProxy(settings?.proxy);
+      // API requests go through Electron's network stack, which can't answer proxy logins
+      if (proxy?.username && def?.method === 'api') {
+        errors.push(`${name}: proxies with a username and password only work for browser providers`);
+      }
+    } catch (e) {
+      errors.push(`${name}: ${e.message}`);
+    }
+    if (settings?.locale && !LOCALE_PATTERN.test(settings.locale)) {
+      errors.push(`${name}: "${settings.locale}" is not a locale like en-US`);
+    }
+    if (settings?.userAgent && /[\r\n]/.test(settings.userAgent)) {
+      errors.push(`${name}: the user agent must be a single line`);
+    }
+  }
+  return errors;
+}
+
+// ============================================
+// API Clients
+// ============================================
+
+const scope = new AsyncLocalStorage(); // network settings of the converter call in progress
+const proxySessions = new Map(); // proxy server -> Promise<Electron session>
+let nativeFetch = null;
+
+// Replace the global fetch() once with one that follows the calling converter's settings
+function installFetch() {
+  if (nativeFetch) return;
+  nativeFetch = globalThis.fetch;
+  globalThis.fetch = (input, init) => {
+    const network = scope.getStore();
+    return network ? networkFetch(network, input, init) : nativeFetch(input, init);
+  };
+}
+
+async function networkFetch(network, input, init = {}) {
+  const request = new Request(input, init);
+  const headers = new Headers(request.headers);
+  if (network.userAgent) headers.set('User-Agent', network.userAgent);
+  if (network.locale) headers.set('Accept-Language', network.locale);
+
+  const proxy = parseProxy(network.proxy);
+  if (!proxy) return nativeFetch(request, { headers });
+
+  // Node's fetch has no proxy support; an in-memory Electron session per proxy does
+  const session = await proxySession(proxy.server);
+  return session.fetch(request, { headers });
+}
+
+function proxySession(server) {
+  if (!proxySessions.has(server)) {
+    const { session } = require('electron');
+    const ses = session.fromPartition(`proxy:${server}`);
+    proxySessions.set(server, ses.setProxy({ proxyRules: server }).then(() => ses));
+    console.log(`[NETWORK] Routing API requests through ${server}`);
+  }
+  return proxySessions.get(server);
+}
+
+/**
+ * Wrap `methods` of an API converter so fetch() calls made while they run use
+ * `network`. Nothing is wrapped when no setting is filled in.
+ */
+function bindNetwork(converter, network, methods) {
+  if (!hasNetworkSettings(network)) return;
+  installFetch();
+  for (const name of methods) {
+    const method = converter[name];
+    converter[name] = (...args) => scope.run(network, () => method.apply(converter, args));
+  }
+}
+
+module.exports = { parseProxy, validateNetwork, bindNetwork };
@@ -1,9 +1,10 @@
 const path = require('path');
 const fs = require('fs');
-const { MetaConverter } = require('./providers/meta-converter');
-const { GrokConverter } = require('./providers/grok-converter');
-const { WhiskConverter } = require('./providers/whisk-converter');
-const { ImageFXConverter } = require('./providers/imagefx-converter');
+const { getProvider, providerIds, describeProviders } = require('./providers/registry');
+const { abandonAfterAbort, removePartial } = require('./cancellation');
+const { RateLimiter } = require('./rate-limiter');
+const { CircuitBreaker } = require('./circuit-breaker');
+const { classifyError, retryDelay } = require('./errors');
 
 // Simple concurrency limiter
 class Semaphore {
@@ -28,92 +29,105 @@ class Semaphore {
   }
 }
 
-// Provider capability matrix
-const CAPABILITIES = {
-  meta: {
-    name: 'Meta AI',
-    types: ['image-to-video', 'text-to-video', 'text-to-image'],
-    method: 'playwright',
-    timeout: 300
-  },
-  grok: {
-    name: 'Grok AI',
-    types: ['image-to-video', 'text-to-video', 'text-to-image'],
-    method: 'playwright',
-    timeout: 180
-  },
-  whisk: {
-    name: 'Google Whisk',
-    types: ['image-to-video', 'text-to-image'],
-    method: 'api',
-    timeout: 60
-  },
-  imagefx: {
-    name: 'Google ImageFX',
-    types: ['text-to-image'],
-    method: 'api',
-    timeout: 60
-  }
-};
-
-// JSON schema validation
-const VALID_PROVIDERS = ['meta', 'grok', 'whisk', 'imagefx'];
+// JSON schema validation (providers come from providers/registry.js)
 const VALID_TYPES = ['image-to-video', 'text-to-video', 'text-to-image'];
 
+// Seconds a converter gets to unwind after its watchdog fires before the slot is freed anyway
+const WATCHDOG_GRACE = 15;
+
+const MAX_VARIATIONS = 8;
+
+// settings.browserPool defaults: tabs open at once across the 'playwright' providers,
+// and seconds a provider's browsers stay warm after its last job
+const BROWSER_POOL_DEFAULTS = { maxTabs: 8, idleTimeout: 300 };
+
+// A job interrupted this many times by restarts is not requeued again (crash-loop guard)
+const MAX_RESUMES = 3;
+
+// Failures that move a job straight on to the provider's next account
+const ACCOUNT_SWITCH_CATEGORIES = ['quota', 'auth-expired'];
+// Seconds an account that hit a quota is passed over while other accounts are usable
+const ACCOUNT_QUOTA_REST = 30 * 60;
+
 class Orchestrator {
-  constructor(config, database, emitProgress) {
+  /**
+   * @param {Object} options - { profiles }: ProfileStore for persistent browser profiles (see profiles.js)
+   */
+  constructor(config, database, emitProgress, { profiles = null } = {}) {
     this.config = config;
     this.db = database;
     this.emitProgress = emitProgress; // Function to send events to renderer
+    this.profiles = profiles;
+    // async (providers) => void, awaited before a batch's queues start (see session-monitor.js)
+    this.beforeBatch = null;
 
-    // Provider instances (persistent for pre-warming)
-    this.converters = {
-      meta: null,
-      grok: null,
-      whisk: null,
-      imagefx: null
-    };
+    const providers = providerIds();
 
-    // Per-provider job queues
-    this.queues = {
-      meta: [],
-      grok: [],
-      whisk: [],
-      imagefx: []
-    };
+    // Provider instances, one per account (persistent for pre-warming): provider -> accountId -> converter
+    this.converters = {};
+    for (const provider of providers) this.converters[provider] = {};
+
+    // Account rotation state, keyed "provider/accountId"
+    this._accountUse = new Map(); // -> { active, started }
+    this._accountRestUntil = new Map(); // -> ms timestamp after a quota failure
+    this._lastAccount = {}; // provider -> accountId picked last (round-robin)
 
     // Running state
-    this._running = false;
     this._activeJobs = new Map(); // jobId -> { provider, cancel: fn }
-    this._batchId = null;
-
-    // Per-provider concurrency limiters (max 4 parallel tabs)
-    this._providerSemaphores = {
-      meta: new Semaphore(4),
-      grok: new Semaphore(4),
-      whisk: new Semaphore(10),
-      imagefx: new Semaphore(10)
-    };
+    this._activeBatches = new Map(); // batchId -> batchState
 
+    // Per-provider concurrency limiters (parallel tabs or API calls)
+    this._providerSemaphores = {};
     // Track pending+active job counts per provider for cleanup
-    this._providerJobCounts = { meta: 0, grok: 0, whisk: 0, imagefx: 0 };
+    this._providerJobCounts = {};
+    for (const provider of providers) {
+      this._providerSemaphores[provider] = new Semaphore(getProvider(provider).concurrency);
+      this._providerJobCounts[provider] = 0;
+    }
+    // Tabs shared by every browser provider's jobs (settings.browserPool.maxTabs)
+    this._tabs = new Semaphore(this._browserPool().maxTabs);
+    // provider -> timer closing its idle browsers (see _maybeCloseProvider)
+    this._idleTimers = {};
+
+    // Requests per minute, spacing and daily budgets (settings.rateLimits)
+    this.rateLimiter = new RateLimiter(config, database);
+
+    // Circuit breakers hold a provider's queue after a run of auth/traffic/timeout failures
+    this._breakers = {};
+    for (const provider of providers) {
+      this._breakers[provider] = new CircuitBreaker(provider, {
+        getSettings: () => this.config.getSettings().circuitBreaker,
+        probe: () => this._probeProvider(provider),
+        onChange: (status) => {
+          if (status.state === 'closed') this._wakePaused();
+          this.emitProgress({ event: 'provider:circuit', provider, ...status });
+        }
+      });
+    }
+
+    // Set by shutdown(): no job starts any more
+    this._stopped = false;
+
+    // Pause gates: paused jobs wait before taking a semaphore slot
+    this._paused = { global: false, providers: new Set(), batches: new Set() };
+    this._pauseWaiters = [];
   }
 
   getCapabilities() {
-    return CAPABILITIES;
+    return describeProviders();
   }
 
   // ============================================
   // Job Validation
   // ============================================
 
-  validateJob(job) {
+  validateJob(job, { allowImageFrom = false } = {}) {
     const errors = [];
 
     if (!job.provider) {
       errors.push('Missing required field "provider"');
-    } else if (!VALID_PROVIDERS.includes(job.provider)) {
-      errors.push(`Unknown provider "${job.provider}". Valid: ${VALID_PROVIDERS.join(', ')}`);
+    } else if (!getProvider(job.provider)) {
+      errors.push(`Unknown provider "${job.provider}". Valid: ${providerIds().join(', ')}`);
     }
 
     if (!job.type) {
@@ -126,15 +140,40 @@ class Orchestrator {
       errors.push('Missing required field "prompt"');
     }
 
-    // Provider-type compatibility
-    if (job.provider && job.type && CAPABILITIES[job.provider]) {
-      if (!CAPABILITIES[job.provider].types.includes(job.type)) {
-        errors.push(`${CAPABILITIES[job.provider].name} does not support ${job.type}. Supported: ${CAPABILITIES[job.provider].types.join(', ')}`);
+    // Provider-type compatibility and provider-specific options
+    const provider = job.provider && getProvider(job.provider);
+    if (provider && job.type && !provider.types.includes(job.type)) {
+      errors.push(`${provider.name} does not support ${job.type}. Supported: ${provider.types.join(', ')}`);
+    }
+    if (provider) {
+      errors.push(...this._validateOptions(provider, job.options || {}));
+    }
+
+    const count = job.options?.count;
+    if (count !== undefined && (!Number.isInteger(count) || count < 1 || count > MAX_VARIATIONS)) {
+      errors.push(`"options.count" must be a whole number from 1 to ${MAX_VARIATIONS}`);
+    }
+
+    // Fallback providers must be known (false disables fallback for this job)
+    const timeout = job.options?.timeout;
+    if (timeout !== undefined && !(typeof timeout === 'number' && timeout >= 0)) {
+      errors.push('"options.timeout" must be a number of seconds (0 disables the watchdog)');
+    }
+
+    const fallback = job.options?.fallback;
+    if (fallback !== undefined && fallback !== false) {
+      for (const p of (Array.isArray(fallback) ? fallback : [fallback])) {
+        if (!getProvider(p)) {
+          errors.push(`Unknown fallback provider "${p}". Valid: ${providerIds().join(', ')}`);
+        }
       }
     }
 
-    // Image required for image-to-video
-    if (job.type === 'image-to-video') {
+    // Image required for image-to-video (unless a batch step supplies it via "imageFrom")
+    if (job.imageFrom !== undefined && !allowImageFrom) {
+      errors.push('"imageFrom" is only supported in batch jobs');
+    }
+    if (job.type === 'image-to-video' && !(allowImageFrom && job.imageFrom)) {
       if (!job.image) {
         errors.push('Image path required for image-to-video');
       } else if (!fs.existsSync(job.image)) {
@@ -145,6 +184,21 @@ class Orchestrator {
     return errors;
   }
 
+  // Check options declared in the provider's schema; other keys are left alone
+  _validateOptions(provider, options) {
+    const errors = [];
+    for (const [key, schema] of Object.entries(provider.options)) {
+      const value = options[key];
+      if (value === undefined) continue;
+      if (schema.type && typeof value !== schema.type) {
+        errors.push(`"options.${key}" must be a ${schema.type} for ${provider.name}`);
+      } else if (schema.values && !schema.values.includes(value)) {
+        errors.push(`"options.${key}" for ${provider.name} must be one of: ${schema.values.join(', ')}`);
+      }
+    }
+    return errors;
+  }
+
   validateBatch(batch) {
     const errors = [];
 
@@ -156,6 +210,11 @@ class Orchestrator {
       return ['Batch must contain at least 1 job'];
     }
 
+    const timeout = batch.globalOptions?.timeout;
+    if (timeout !== undefined && !(typeof timeout === 'number' && timeout >= 0)) {
+      errors.push('"globalOptions.timeout" must be a number of seconds (0 disables the watchdog)');
+    }
+
     // Validate output folder if specified
     if (batch.globalOptions?.outputFolder) {
       const folder = batch.globalOptions.outputFolder;
@@ -174,57 +233,153 @@ class Orchestrator {
 
     // Validate each job
     batch.jobs.forEach((job, index) => {
-      const jobErrors = this.validateJob(job);
+      const jobErrors = this.validateJob(job, { allowImageFrom: true });
       jobErrors.forEach(err => {
         errors.push(`Job ${index + 1}: ${err}`);
       });
     });
 
+    errors.push(...this._validateSteps(batch.jobs));
+
     return errors;
   }
 
+  // Check the dependency graph declared with "id", "dependsOn" and "imageFrom"
+  _validateSteps(jobs) {
+    const errors = [];
+    const steps = new Map(); // step id -> job
+
+    jobs.forEach((job, index) => {
+      if (job.id === undefined) return;
+      const id = String(job.id);
+      if (!id) {
+        errors.push(`Job ${index + 1}: "id" must not be empty`);
+      } else if (steps.has(id)) {
+        errors.push(`Job ${index + 1}: Duplicate step id "${id}"`);
+      } else {
+        steps.set(id, job);
+      }
+    });
+
+    jobs.forEach((job, index) => {
+      if (job.dependsOn !== undefined &&
+          !(typeof job.dependsOn === 'string' || Array.isArray(job.dependsOn))) {
+        errors.push(`Job ${index + 1}: "dependsOn" must be a step id or an array of step ids`);
+        return;
+      }
+      for (const dep of this._stepDependencies(job)) {
+        if (!steps.has(dep)) {
+          errors.push(`Job ${index + 1}: Unknown step "${dep}"`);
+        } else if (job.id !== undefined && dep === String(job.id)) {
+          errors.push(`Job ${index + 1}: Step cannot depend on itself`);
+        }
+      }
+      if (job.imageFrom !== undefined) {
+        const source = steps.get(String(job.imageFrom));
+        if (job.type !== 'image-to-video') {
+          errors.push(`Job ${index + 1}: "imageFrom" only applies to image-to-video`);
+        } else if (source && source.type !== 'text-to-image') {
+          errors.push(`Job ${index + 1}: "imageFrom" must reference a text-to-image step, "${job.imageFrom}" is ${source.type}`);
+        }
+      }
+    });
+
+    if (errors.length > 0) return errors;
+
+    // Cycle detection (depth-first, 1 = visiting, 2 = done)
+    const state = new Map();
+    const visit = (id, trail) => {
+      if (state.get(id) === 2) return false;
+      if (state.get(id) === 1) {
+        errors.push(`Dependency cycle: ${[...trail, id].join(' -> ')}`);
+        return true;
+      }
+      state.set(id, 1);
+      for (const dep of this._stepDependencies(steps.get(id))) {
+        if (visit(dep, [...trail, id])) return true;
+      }
+      state.set(id, 2);
+      return false;
+    };
+    for (const id of steps.keys()) {
+      if (visit(id, [])) break;
+    }
+
+    return errors;
+  }
+
+  // Step ids a batch job waits on ("imageFrom" is an implicit dependency)
+  _stepDependencies(job) {
+    const deps = job.dependsOn === undefined ? []
+      : (Array.isArray(job.dependsOn) ? job.dependsOn : [job.dependsOn]);
+    if (job.imageFrom !== undefined) deps.push(job.imageFrom);
+    return [...new Set(deps.map(String))];
+  }
+
   // ============================================
   // Converter Management (Pre-warming)
   // ============================================
 
-  async _getConverter(provider) {
-    const cookies = this.config.getCookies(provider);
-    const settings = this.config.getSettings();
-
-    if (this.converters[provider] && this.converters[provider].isBrowserAlive()) {
-      return this.converters[provider];
+  async _getConverter(provider, accountId) {
+    const pool = this.converters[provider];
+    if (pool[accountId] && pool[accountId].isBrowserAlive()) {
+      return pool[accountId];
     }
 
+    pool[accountId] = this._createConverter(provider, accountId);
+    return pool[accountId];
+  }
+
+  _createConverter(provider, accountId) {
+    const cookies = this.config.getCookies(provider, accountId);
+    const settings = this.config.getSettings();
     const options = {
       headless: settings.headless,
       retryAttempts: settings.retryAttempts || 3,
-      delayBetween: settings.delayBetween || 10
+      delayBetween: settings.delayBetween || 10,
+      profileDir: this.profileDir(provider, accountId),
+      network: settings.network?.[provider] || {},
+      browser: settings.browser
     };
 
-    switch (provider) {
-      case 'meta':
-        this.converters[provider] = new MetaConverter(cookies, options);
-        break;
-      case 'grok':
-        this.converters[provider] = new GrokConverter(cookies, options);
-        break;
-      case 'whisk':
-        this.converters[provider] = new WhiskConverter(cookies, options);
-        break;
-      case 'imagefx':
-        this.converters[provider] = new ImageFXConverter(cookies, options);
-        break;
-      default:
-        throw new Error(`Unknown provider: ${provider}`);
+    const def = getProvider(provider);
+    if (!def) throw new Error(`Unknown provider: ${provider}`);
+    return def.create(cookies, options);
+  }
+
+  // The account's persistent browser profile folder, or null when the provider
+  // doesn't support profiles or settings.browserProfiles has them off
+  profileDir(provider, accountId) {
+    if (!this.profiles || !getProvider(provider)?.profiles) return null;
+    if (!this.config.getSettings().browserProfiles?.[provider]) return null;
+    return this.profiles.dir(provider, accountId);
+  }
+
+  // Close an idle account's browser, e.g. so its profile folder can be reset
+  // or opened by the login window (Chrome locks a profile while it's open)
+  async releaseAccount(provider, accountId) {
+    if (this._accountUsage(provider, accountId).active > 0) {
+      return { success: false, errors: ['The account has jobs running'] };
     }
+    const converter = this.converters[provider]?.[accountId];
+    if (converter) {
+      delete this.converters[provider][accountId];
+      await converter.stop().catch(() => {});
+    }
+    return { success: true };
+  }
 
-    return this.converters[provider];
+  async resetProfile(provider, accountId) {
+    if (!this.profiles) return { success: false, errors: ['Browser profiles are not available'] };
+    const released = await this.releaseAccount(provider, accountId);
+    if (!released.success) return released;
+    return this.profiles.reset(provider, accountId);
   }
 
   async preWarmProvider(provider) {
     try {
       console.log(`[ORCH] Pre-warming ${provider}...`);
-      const converter = await this._getConverter(provider);
+      const converter = await this._getConverter(provider, this._pickAccount(provider).id);
       await converter.start();
       console.log(`[ORCH] ${provider} warmed up`);
       return true;
@@ -235,14 +390,11 @@ class Orchestrator {
   }
 
   async preWarmAll() {
-    const providers = ['meta', 'grok', 'whisk', 'imagefx'];
     const results = {};
     await Promise.allSettled(
-      providers.map(async (p) => {
-        const cookies = this.config.getCookies(p);
-        const hasCookies = (p === 'whisk' || p === 'imagefx')
-          ? cookies.cookies
-          : Object.values(cookies).some(v => v);
+      providerIds().map(async (p) => {
+        const account = this._pickAccount(p);
+        const hasCookies = account && Object.values(account.cookies).some(v => v);
         if (hasCookies) {
           results[p] = await this.preWarmProvider(p);
         } else {
@@ -274,179 +426,569 @@ class Orchestrator {
     // Generate output path
     const outputPath = this._generateOutputPath(jobDef, outputFolder, 1);
 
-    // Add to database
+    // Add to database (stays pending until a slot frees up, so a restart can requeue it)
     const dbJob = this.db.addJob({
       provider: jobDef.provider,
       type: jobDef.type,
       prompt: jobDef.prompt || '',
       imagePath: jobDef.image || null,
       outputPath,
-      status: 'running',
+      status: 'pending',
       options: jobDef.options || {}
     });
+    this._addVariations(dbJob, jobDef, outputFolder, 1);
+
+    this._enqueueJob(dbJob, jobDef);
 
+    return { success: true, jobId: dbJob.id };
+  }
+
+  _enqueueJob(dbJob, jobDef) {
     // Queue execution with concurrency limit (max 4 parallel per provider)
     const provider = jobDef.provider;
-    const sem = this._providerSemaphores[provider];
-    // Fire-and-forget with semaphore guard
+    // Fire-and-forget; _runJob takes the provider slot(s)
     this._providerJobCounts[provider]++;
     (async () => {
-      await sem.acquire();
       try {
-        await this._executeJob(dbJob, jobDef);
+        await this._runJob(dbJob, jobDef);
       } finally {
-        sem.release();
         this._providerJobCounts[provider]--;
         // Close browser if no more pending/active jobs for this provider
         this._maybeCloseProvider(provider);
       }
     })();
+  }
 
-    return { success: true, jobId: dbJob.id };
+  /**
+   * Run a job on its provider and, if it fails, on each provider of its
+   * fallback chain in turn. A failed attempt is first retried on the same
+   * provider as often as its error category allows (settings.retryPolicy),
+   * with exponential backoff. Every attempt holds only its own provider's
+   * slot, and none is held while backing off, so providers falling back to
+   * each other can't deadlock. Resolves to the final status.
+   */
+  async _runJob(dbJob, jobDef, onStart) {
+    const chain = this._fallbackChain(jobDef);
+
+    for (let i = 0; i < chain.length; i++) {
+      const provider = chain[i];
+      const attemptDef = i === 0
+        ? { ...jobDef, provider }
+        : { ...jobDef, provider, options: this._optionsFor(provider, jobDef.options) };
+      const final = i === chain.length - 1;
+      if (i > 0) this._providerJobCounts[provider]++;
+
+      let outcome;
+      // Accounts that hit a quota or sign-in failure during this round of attempts
+      const excluded = new Set();
+      let switched = false;
+      try {
+        for (let retry = 0; ;) {
+          outcome = await this._runAttempt(dbJob, attemptDef, () => {
+            if (switched) {
+              this._emitStage(dbJob, attemptDef, 'Switching account...');
+            } else if (i === 0 && retry === 0) {
+              if (onStart) onStart();
+            } else if (retry === 0) {
+              console.log(`[ORCH] Job ${dbJob.id} falling back to ${provider}`);
+              this._emitStage(dbJob, attemptDef, `Falling back to ${getProvider(provider).name}...`);
+            } else {
+              this._emitStage(dbJob, attemptDef, `Retrying (${retry})...`);
+            }
+          }, excluded);
+          if (outcome.status !== 'failed') return outcome.status;
+
+          // Quota or sign-in trouble on one account: go straight on to the next one
+          switched = false;
+          if (outcome.account && ACCOUNT_SWITCH_CATEGORIES.includes(outcome.category)) {
+            this._restAccount(provider, outcome.account, outcome.category);
+            excluded.add(outcome.account.id);
+            if (this._pickAccount(provider, excluded)) {
+              this._failAttempt(dbJob, attemptDef, outcome, false, 'switching account');
+              switched = true;
+              continue;
+            }
+          }
+
+          const delay = retryDelay(outcome.category, retry, this.config.getSettings().retryPolicy);
+          if (delay === null) break;
+
+          this._failAttempt(dbJob, attemptDef, outcome, false, `retrying in ${delay}s`);
+          if (!await this._backoff(dbJob.id, delay)) return 'cancelled';
+          excluded.clear();
+          retry++;
+        }
+      } finally {
+        if (i > 0) {
+          this._providerJobCounts[provider]--;
+          this._maybeCloseProvider(provider);
+        }
+      }
+
+      this._failAttempt(dbJob, attemptDef, outcome, final);
+    }
+
+    return 'failed';
+  }
+
+  // One attempt on jobDef.provider: take a slot, wait for quota, then run it on
+  // one of the provider's accounts (other than `excluded`).
+  // Resolves to { status, error, category, extra, account }.
+  async _runAttempt(dbJob, jobDef, onStart, excluded) {
+    const { provider } = jobDef;
+    await this._acquireSlot(provider, dbJob);
+    let slot = true;
+    let use = null;
+    let tab = false;
+    try {
+      if (this._isCancelled(dbJob.id)) return { status: 'cancelled' };
+
+      // Pacing and daily budget; the job stays pending while it waits. Out of
+      // budget it gives its slot back, so other job types keep running meanwhile.
+      const quotaError = await this._waitForQuota(provider, dbJob, jobDef, () => {
+        if (!slot) return;
+        slot = false;
+        this._providerSemaphores[provider].release();
+      });
+      if (!slot) {
+        await this._acquireSlot(provider, dbJob);
+        slot = true;
+      }
+      if (this._isCancelled(dbJob.id)) return { status: 'cancelled' };
+      // The job can never fit the budget, so retrying won't help
+      if (quotaError) return { status: 'failed', error: quotaError, category: 'invalid-input' };
+
+      if (getProvider(provider).method === 'playwright') {
+        await this._acquireTab(dbJob, jobDef);
+        tab = true;
+        if (this._isCancelled(dbJob.id)) return { status: 'cancelled' };
+      }
+
+      const account = this._pickAccount(provider, excluded);
+      if (!account) {
+        return { status: 'failed', error: `No enabled ${getProvider(provider).name} account`, category: 'auth-expired' };
+      }
+      this._lastAccount[provider] = account.id;
+      use = this._accountUsage(provider, account.id);
+      use.active++;
+      use.started++;
+
+      this.db.updateJob(dbJob.id, { status: 'running', account: account.name });
+      onStart();
+      return { ...await this._executeJob(dbJob, jobDef, account), account };
+    } finally {
+      if (use) use.active--;
+      if (tab) this._tabs.release();
+      if (slot) this._providerSemaphores[provider].release();
+    }
   }
 
-  async _executeJob(dbJob, jobDef) {
+  // One of the tabs shared by all browser providers. Taken after the provider
+  // slot and only by running jobs, so waiting for it can't deadlock.
+  async _acquireTab(dbJob, jobDef) {
+    this._tabs.max = this._browserPool().maxTabs;
+    if (this._tabs.count >= this._tabs.max) this._emitStage(dbJob, jobDef, 'Waiting for a free browser tab...');
+    await this._tabs.acquire();
+  }
+
+  _browserPool() {
+    const settings = { ...BROWSER_POOL_DEFAULTS, ...this.config.getSettings().browserPool };
+    return { maxTabs: Math.max(1, Number(settings.maxTabs) || 1), idleTimeout: Math.max(0, Number(settings.idleTimeout) || 0) };
+  }
+
+  // Wait `seconds` before a retry. Resolves false if the job is cancelled meanwhile.
+  async _backoff(jobId, seconds) {
+    const until = Date.now() + seconds * 1000;
+    while (Date.now() < until) {
+      if (this._isCancelled(jobId)) return false;
+      await new Promise(resolve => setTimeout(resolve, Math.min(until - Date.now(), 1000)));
+    }
+    return !this._isCancelled(jobId);
+  }
+
+  _emitStage(dbJob, jobDef, stage) {
+    this.emitProgress({
+      jobId: dbJob.id, provider: jobDef.provider, stage, percent: 0, type: jobDef.type, prompt: jobDef.prompt
+    });
+  }
+
+  // Take a provider slot once neither the job's batch, its provider nor the
+  // whole queue is paused, and the provider's breaker is closed. Cancelled
+  // jobs go through so _runJob can drop them.
+  async _acquireSlot(provider, dbJob) {
+    const sem = this._providerSemaphores[provider];
+    for (;;) {
+      while (this._isHeld(provider, dbJob.batchId) && !this._isCancelled(dbJob.id)) {
+        await new Promise(resolve => this._pauseWaiters.push(resolve));
+      }
+      await sem.acquire();
+      // Paused while waiting for the slot: hand it back and keep waiting
+      if (!this._isHeld(provider, dbJob.batchId) || this._isCancelled(dbJob.id)) return;
+      sem.release();
+    }
+  }
+
+  // Wait for the provider's rate limit and budget. Returns an error message
+  // if the job can never fit the budget, otherwise null. onPark() is called
+  // when the job has to wait for the budget to reset.
+  async _waitForQuota(provider, dbJob, jobDef, onPark = () => {}) {
+    // A job with variations spends one generation per file still to produce
+    const cost = this.db.getVariations(dbJob.id).filter(v => v.status !== 'success').length || 1;
+    let lastStage = null;
+
+    try {
+      await this.rateLimiter.acquire(provider, jobDef.type, {
+        cost,
+        isCancelled: () => this._isCancelled(dbJob.id),
+        onWait: ({ reason, until }) => {
+          if (reason === 'quota') onPark();
+          const stage = reason === 'quota'
+            ? `Waiting for quota (resets ${until.toLocaleString()})`
+            : reason === 'rate' ? 'Waiting for rate limit...' : 'Pacing requests...';
+          if (stage === lastStage) return;
+          lastStage = stage;
+          this.emitProgress({
+            jobId: dbJob.id, provider, stage, percent: 0, type: jobDef.type, prompt: jobDef.prompt
+          });
+        }
+      });
+      return null;
+    } catch (e) {
+      return e.message;
+    }
+  }
+
+  _isHeld(provider, batchId) {
+    return this._isPaused(provider, batchId) || this._breakers[provider].isOpen();
+  }
+
+  _isPaused(provider, batchId) {
+    return this._paused.global || this._paused.providers.has(provider) ||
+      (!!batchId && this._paused.batches.has(batchId));
+  }
+
+  _isCancelled(jobId) {
+    // After shutdown() queued jobs are dropped without starting
+    if (this._stopped) return true;
+    const job = this.db.getJob(jobId);
+    // Deleting a job from History stops it too
+    if (!job) return this.db.isDeleted(jobId);
+    return job.status === 'cancelled';
+  }
+
+  // Wake every paused job so it re-checks the gates
+  _wakePaused() {
+    const waiters = this._pauseWaiters;
+    this._pauseWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  // Primary provider followed by the compatible fallbacks (job options, else settings)
+  _fallbackChain(jobDef) {
+    const configured = jobDef.options?.fallback ?? this.config.getSettings().fallbackProviders ?? [];
+    const chain = [jobDef.provider];
+    for (const p of (Array.isArray(configured) ? configured : [configured])) {
+      if (getProvider(p) && !chain.includes(p) && getProvider(p).types.includes(jobDef.type)) {
+        chain.push(p);
+      }
+    }
+    return chain;
+  }
+
+  // Options for a fallback provider. A key some provider declares is only
+  // passed on if this one declares it too and accepts the value (Grok's "2:3"
+  // means nothing to Whisk); generic keys such as count and timeout stay.
+  _optionsFor(provider, options = {}) {
+    const def = getProvider(provider);
+    const declared = new Set(providerIds().flatMap(id => Object.keys(getProvider(id).options)));
+    const kept = {};
+    const dropped = [];
+    for (const [key, value] of Object.entries(options)) {
+      if (declared.has(key) && (!def.options[key] || this._validateOptions(def, { [key]: value }).length > 0)) {
+        dropped.push(key);
+      } else {
+        kept[key] = value;
+      }
+    }
+    if (dropped.length > 0) console.log(`[ORCH] Not passing ${dropped.join(', ')} on to ${def.name}`);
+    return kept;
+  }
+
+  _appendAttempt(jobId, provider, status, error, category, account) {
+    const row = this.db.getJob(jobId);
+    return [...(row?.attemptChain || []), {
+      provider, account: account || null, status, error: error || null, category: category || null,
+      at: new Date().toISOString()
+    }];
+  }
+
+  // Runs the converter for one attempt. Success and cancellation are written to
+  // history here; a failure is returned for _runJob to retry, re-route or record.
+  async _executeJob(dbJob, jobDef, account) {
     const jobId = dbJob.id;
     let cancelled = false;
+    let timedOut = false;
+    // Aborting closes this job's tab and interrupts the converter's waits
+    const controller = new AbortController();
+    const { signal } = controller;
 
     // Register for cancellation
     this._activeJobs.set(jobId, {
       provider: jobDef.provider,
-      cancel: () => { cancelled = true; }
+      cancel: () => {
+        cancelled = true;
+        controller.abort();
+      }
     });
 
-    try {
-      const converter = await this._getConverter(jobDef.provider);
+    // Parent of N variations: produce each child row's file
+    const variations = this.db.getVariations(jobId);
 
-      if (!converter.isBrowserAlive() || jobDef.provider === 'whisk' || jobDef.provider === 'imagefx') {
-        // For Meta jobs, go directly to /media page (skip double navigation)
-        const startUrl = (jobDef.provider === 'meta')
-          ? 'https://www.meta.ai/media' : undefined;
-        await converter.start(startUrl);
-      }
+    // Watchdog: a stuck page or API call must not hold the provider slot forever
+    const timeout = this._jobTimeout(jobDef, variations);
+    const watchdog = timeout > 0 && setTimeout(() => {
+      console.log(`[ORCH] Job ${jobId} timed out after ${timeout}s`);
+      timedOut = true;
+      controller.abort();
+    }, timeout * 1000);
 
+    try {
       const progressCallback = (stage, percent) => {
-        if (cancelled) return;
+        if (cancelled || timedOut) return;
         this.emitProgress({
           jobId, provider: jobDef.provider, stage, percent,
           type: jobDef.type, prompt: jobDef.prompt
         });
       };
 
-      let result;
-
-      switch (jobDef.type) {
-        case 'image-to-video':
-          result = await converter.convert(
-            jobDef.image, dbJob.outputPath, jobDef.prompt || 'Animate this image',
-            progressCallback, jobDef.options?.aspectRatio || '9:16',
-            { duration: jobDef.options?.duration, resolution: jobDef.options?.resolution }
-          );
-          break;
-
-        case 'text-to-video':
-          if (jobDef.provider === 'meta') {
-            result = await converter.textToVideo(
-              jobDef.prompt, dbJob.outputPath, {
-                aspectRatio: jobDef.options?.aspectRatio || '9:16',
-                animationPrompt: jobDef.options?.animationPrompt || '',
-                progressCallback
-              }
-            );
-          } else if (jobDef.provider === 'grok') {
-            result = await converter.textToVideo(
-              jobDef.prompt,
-              path.dirname(dbJob.outputPath),
-              {
-                namingPattern: path.basename(dbJob.outputPath, path.extname(dbJob.outputPath)),
-                aspectRatio: jobDef.options?.aspectRatio || '9:16',
-                duration: jobDef.options?.duration,
-                resolution: jobDef.options?.resolution
-              },
-              progressCallback
-            );
-            if (result.videoPath) {
-              dbJob.outputPath = result.videoPath;
-            }
-          } else {
-            throw new Error(`${jobDef.provider} does not support text-to-video`);
-          }
-          break;
-
-        case 'text-to-image':
-          if (jobDef.provider === 'grok') {
-            result = await converter.generateImage(jobDef.prompt, dbJob.outputPath, {
-              aspectRatio: jobDef.options?.aspectRatio || '1:1',
-              progressCallback
-            });
-          } else if (jobDef.provider === 'whisk') {
-            result = await converter.textToImage(jobDef.prompt, dbJob.outputPath, {
-              aspectRatio: jobDef.options?.aspectRatio || '1:1',
-              progressCallback
-            });
-          } else if (jobDef.provider === 'imagefx') {
-            result = await converter.textToImage(jobDef.prompt, dbJob.outputPath, {
-              aspectRatio: jobDef.options?.aspectRatio || '1:1',
-              model: jobDef.options?.model || 'IMAGEN_3_5',
-              progressCallback
-            });
-          } else {
-            // Meta
-            result = await converter.textToImage(jobDef.prompt, dbJob.outputPath, {
-              aspectRatio: jobDef.options?.aspectRatio || '16:9',
-              progressCallback
-            });
-          }
-          break;
+      const run = async () => {
+        const converter = await this._getConverter(jobDef.provider, account.id);
 
-        default:
-          throw new Error(`Unknown job type: ${jobDef.type}`);
-      }
+        const { startEachJob, startUrl } = getProvider(jobDef.provider);
+        if (!converter.isBrowserAlive() || startEachJob) {
+          await converter.start(startUrl);
+        }
+
+        return variations.length > 0
+          ? this._runVariations(converter, dbJob, jobDef, variations, progressCallback, signal)
+          : this._runConverter(converter, jobDef, dbJob.outputPath, progressCallback, { signal });
+      };
+      const result = await abandonAfterAbort(run(), signal, WATCHDOG_GRACE * 1000);
 
       if (cancelled) {
-        this.db.updateJob(jobId, { status: 'cancelled' });
-        this.emitProgress({ jobId, event: 'cancelled' });
-        return;
+        this._cleanupCancelled(dbJob, variations);
+        return { status: 'cancelled' };
+      }
+      if (timedOut) {
+        return this._timedOut(dbJob, jobDef, variations, timeout);
       }
 
       if (result.success) {
+        this._breakers[jobDef.provider].recordSuccess();
+        dbJob.outputPath = result.videoPath || result.imagePath || dbJob.outputPath;
         this.db.updateJob(jobId, {
           status: 'success',
-          outputPath: result.videoPath || result.imagePath || dbJob.outputPath,
+          outputPath: dbJob.outputPath,
           videoUrl: result.videoUrl || result.imageUrl || null,
-          attempts: result.attempts || 1
+          attempts: result.attempts || 1,
+          producedBy: jobDef.provider,
+          account: account.name,
+          attemptChain: this._appendAttempt(jobId, jobDef.provider, 'success', null, null, account.name),
+          // Partial variation failures are kept as a note on a successful job
+          error: variations.length > 0 ? result.error : null,
+          errorCategory: variations.length > 0 && result.error ? classifyError(result.error) : null
         });
         this.emitProgress({ jobId, event: 'complete', outputPath: dbJob.outputPath });
-      } else {
-        this.db.updateJob(jobId, {
-          status: 'failed',
-          error: result.error,
-          videoUrl: result.videoUrl || null,
-          attempts: result.attempts || 1
-        });
-        this.emitProgress({ jobId, event: 'failed', error: result.error });
+        return { status: 'success' };
       }
 
+      const category = result.errorCategory || classifyError(result.error);
+      this._breakers[jobDef.provider].recordFailure(result.error, category);
+      return {
+        status: 'failed', error: result.error, category,
+        extra: { videoUrl: result.videoUrl || null, attempts: result.attempts || 1 }
+      };
+
     } catch (e) {
       console.log(`[ORCH] Job ${jobId} error: ${e.message}`);
-      this.db.updateJob(jobId, { status: 'failed', error: e.message });
-      this.emitProgress({ jobId, event: 'failed', error: e.message });
+      if (cancelled) {
+        this._cleanupCancelled(dbJob, variations);
+        return { status: 'cancelled' };
+      }
+      if (timedOut) {
+        return this._timedOut(dbJob, jobDef, variations, timeout);
+      }
+      const category = e.category || classifyError(e.message);
+      this._breakers[jobDef.provider].recordFailure(e.message, category);
+      return { status: 'failed', error: e.message, category };
     } finally {
+      clearTimeout(watchdog);
       this._activeJobs.delete(jobId);
     }
   }
 
+  // Watchdog limit in seconds: options.timeout, else the capability table's, per
+  // output still to produce. 0 disables it.
+  _jobTimeout(jobDef, variations) {
+    const caps = getProvider(jobDef.provider);
+    const perOutput = jobDef.options?.timeout ?? caps.typeTimeouts?.[jobDef.type] ?? caps.timeout;
+    const outputs = variations.filter(v => v.status !== 'success').length || 1;
+    return (Number(perOutput) || 0) * outputs;
+  }
+
+  // Watchdog fired: drop partial files and report a timeout failure for retry or fallback.
+  // Finished variations are kept.
+  _timedOut(dbJob, jobDef, variations, timeout) {
+    const error = `Timed out after ${timeout}s`;
+    if (variations.length === 0) {
+      removePartial(dbJob.outputPath);
+    }
+    for (const v of variations) {
+      const row = this.db.getJob(v.id);
+      if (row && row.status !== 'success') {
+        removePartial(row.outputPath);
+        this.db.updateJob(v.id, { status: 'failed', error, errorCategory: 'timeout' });
+      }
+    }
+    this._breakers[jobDef.provider].recordFailure(error, 'timeout');
+    return { status: 'failed', error, category: 'timeout' };
+  }
+
+  // Cancelled mid-run: drop whatever the converter left half-written.
+  // Finished variations are kept; the rest are marked cancelled.
+  _cleanupCancelled(dbJob, variations) {
+    if (variations.length === 0) {
+      removePartial(dbJob.outputPath);
+    }
+    for (const v of variations) {
+      const row = this.db.getJob(v.id);
+      if (row && row.status !== 'success') {
+        removePartial(row.outputPath);
+        this.db.updateJob(v.id, { status: 'cancelled' });
+      }
+    }
+    // Quitting: the job isn't cancelled, it is resumed on the next launch
+    if (this._stopped) return;
+    this.db.updateJob(dbJob.id, { status: 'cancelled' });
+    this.emitProgress({ jobId: dbJob.id, event: 'cancelled' });
+  }
+
+  // One converter call for a job type. `outputPaths` asks providers with
+  // native multi-image results for several files at once; `signal` aborts the call.
+  async _runConverter(converter, jobDef, outputPath, progressCallback, { outputPaths, signal } = {}) {
+    const { name, run } = getProvider(jobDef.provider);
+    if (!VALID_TYPES.includes(jobDef.type)) {
+      throw new Error(`Unknown job type: ${jobDef.type}`);
+    }
+    if (!run[jobDef.type]) {
+      throw new Error(`${name} does not support ${jobDef.type}`);
+    }
+    return run[jobDef.type](converter, jobDef, outputPath, { progressCallback, outputPaths, signal });
+  }
+
+  async _runVariations(converter, dbJob, jobDef, variations, progressCallback, signal) {
+    const todo = variations.filter(v => v.status !== 'success');
+    let lastError = null;
+    let attempts = 0;
+
+    if (getProvider(jobDef.provider).nativeMulti.includes(jobDef.type)) {
+      for (const v of todo) this.db.updateJob(v.id, { status: 'running' });
+
+      const result = await this._runConverter(
+        converter, jobDef, todo[0].outputPath, progressCallback,
+        { outputPaths: todo.map(v => v.outputPath), signal }
+      );
+      const written = new Set(result.outputPaths || []);
+      lastError = result.error;
+      attempts = result.attempts || 1;
+
+      for (const v of todo) {
+        this.db.updateJob(v.id, written.has(v.outputPath)
+          ? { status: 'success', error: null, producedBy: jobDef.provider }
+          : {
+            status: 'failed',
+            error: result.error || 'Provider returned fewer images than requested',
+            errorCategory: result.errorCategory || classifyError(result.error)
+          });
+      }
+    } else {
+      // No multi-output support: run once per variation
+      for (const v of todo) {
+        if (signal.aborted) {
+          this.db.updateJob(v.id, { status: 'cancelled' });
+          continue;
+        }
+        this.db.updateJob(v.id, { status: 'running' });
+
+        const result = await this._runConverter(converter, jobDef, v.outputPath, (stage, percent) =>
+          progressCallback(`Variation ${v.variation}/${variations.length}: ${stage}`, percent),
+        { signal });
+        attempts += result.attempts || 1;
+
+        if (result.success) {
+          this.db.updateJob(v.id, {
+            status: 'success',
+            error: null,
+            outputPath: result.videoPath || result.imagePath || v.outputPath,
+            producedBy: jobDef.provider
+          });
+        } else {
+          lastError = result.error;
+          this.db.updateJob(v.id, {
+            status: 'failed', error: result.error, errorCategory: result.errorCategory || classifyError(result.error)
+          });
+        }
+      }
+    }
+
+    const rows = variations.map(v => this.db.getJob(v.id));
+    const done = rows.filter(r => r.status === 'success');
+    this.db.updateJob(dbJob.id, { variationsSucceeded: done.length });
+
+    const outputKey = jobDef.type === 'text-to-image' ? 'imagePath' : 'videoPath';
+    return {
+      success: done.length > 0,
+      [outputKey]: done.length > 0 ? done[0].outputPath : null,
+      error: done.length === rows.length ? null
+        : `${rows.length - done.length} of ${rows.length} variations failed${lastError ? `: ${lastError}` : ''}`,
+      attempts
+    };
+  }
+
+  // Record a failed attempt. Unless `final` the job goes back to pending for a
+  // retry or fallback; `note` says which.
+  _failAttempt(dbJob, jobDef, { error, category, extra = {}, account }, final, note) {
+    const jobId = dbJob.id;
+    const attemptChain = this._appendAttempt(jobId, jobDef.provider, 'failed', error, category, account?.name);
+
+    if (!final) {
+      this.db.updateJob(jobId, { status: 'pending', error, errorCategory: category, attemptChain });
+      this._emitStage(dbJob, jobDef,
+        `${getProvider(jobDef.provider).name} failed: ${error}${note ? ` (${note})` : ''}`);
+      return 'failed';
+    }
+
+    this.db.updateJob(jobId, { status: 'failed', error, errorCategory: category, attemptChain, ...extra });
+    this.emitProgress({ jobId, event: 'failed', error, category });
+    return 'failed';
+  }
+
   // ============================================
   // Batch Execution (Parallel Cross-Provider)
   // ============================================
 
-  async submitBatch(batch) {
+  /**
+   * Create and run a batch. Resolves with the totals once every job has
+   * settled, or, with `wait: false`, as soon as the jobs are queued.
+   */
+  async submitBatch(batch, { wait = true } = {}) {
     const errors = this.validateBatch(batch);
     if (errors.length > 0) {
       return { success: false, errors };
     }
 
-    const batchId = `batch_${Date.now()}`;
+    // Random suffix: the scheduler can start several batches in the same millisecond
+    const batchId = `batch_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
     const settings = this.config.getSettings();
     const outputFolder = batch.globalOptions?.outputFolder || settings.outputFolder ||
                           path.join(process.cwd(), 'storage', 'output');
@@ -457,6 +999,13 @@ class Orchestrator {
 
     // Create database entries for all jobs
     const jobs = batch.jobs.map((jobDef, index) => {
+      // Batch-wide fallback list and timeout apply to jobs that don't set their own
+      for (const key of ['fallback', 'timeout']) {
+        if (batch.globalOptions?.[key] !== undefined && jobDef.options?.[key] === undefined) {
+          jobDef.options = { ...jobDef.options, [key]: batch.globalOptions[key] };
+        }
+      }
+
       const outputPath = this._generateOutputPath(jobDef, outputFolder, index + 1, batch.globalOptions?.namingPattern);
 
       const dbJob = this.db.addJob({
@@ -467,54 +1016,119 @@ class Orchestrator {
         outputPath,
         status: 'pending',
         options: jobDef.options || {},
-        batchId
+        batchId,
+        batchIndex: index + 1,
+        stepId: jobDef.id !== undefined ? String(jobDef.id) : null
       });
+      this._addVariations(dbJob, jobDef, outputFolder, index + 1, batch.globalOptions?.namingPattern);
 
       return { dbJob, jobDef };
     });
 
+    // Resolve step ids to database ids so the graph survives a restart
+    const stepIds = new Map();
+    for (const { dbJob, jobDef } of jobs) {
+      if (jobDef.id !== undefined) stepIds.set(String(jobDef.id), dbJob.id);
+    }
+    for (const job of jobs) {
+      const deps = this._stepDependencies(job.jobDef);
+      if (deps.length === 0) continue;
+      job.dbJob = this.db.updateJob(job.dbJob.id, {
+        dependsOn: deps.map(id => stepIds.get(id)),
+        imageFrom: job.jobDef.imageFrom !== undefined ? stepIds.get(String(job.jobDef.imageFrom)) : null
+      });
+    }
+
+    this.db.addBatch({ id: batchId, total: jobs.length, outputFolder, scheduleId: batch.scheduleId });
+
+    if (!wait) {
+      this._runBatch(batchId, jobs).catch(e => console.log(`[ORCH] Batch ${batchId} failed: ${e.message}`));
+      return { success: true, batchId, total: jobs.length, jobIds: jobs.map(j => j.dbJob.id) };
+    }
+    return this._runBatch(batchId, jobs);
+  }
+
+  async _runBatch(batchId, jobs, { resumed = false } = {}) {
     // Distribute jobs into per-provider queues
-    const providerQueues = { meta: [], grok: [], whisk: [], imagefx: [] };
+    const providerQueues = {};
+    for (const provider of providerIds()) providerQueues[provider] = [];
     for (const job of jobs) {
       providerQueues[job.jobDef.provider].push(job);
     }
 
-    // Track batch progress
+    // Track batch progress (a resumed batch starts from what history already recorded)
     const batchState = {
       id: batchId,
       total: jobs.length,
       completed: 0,
       failed: 0,
-      running: 0
+      skipped: 0,
+      running: 0,
+      cancelled: false,
+      // jobId -> promise of final status, so dependent steps can wait on upstream ones
+      settled: new Map()
     };
 
-    this._running = true;
+    const settlers = new Map();
+    for (const { dbJob } of jobs) {
+      batchState.settled.set(dbJob.id, new Promise(resolve => settlers.set(dbJob.id, resolve)));
+    }
+
+    if (resumed) {
+      const pendingIds = new Set(jobs.map(j => j.dbJob.id));
+      const rows = this.db.getJobs({ batchId, limit: Infinity });
+      const finished = rows.filter(r => !pendingIds.has(r.id));
+      batchState.total = rows.length;
+      batchState.completed = finished.filter(r => r.status === 'success').length;
+      batchState.failed = finished.length - batchState.completed;
+    }
+
+    this._activeBatches.set(batchId, batchState);
 
     this.emitProgress({
       event: 'batch:start',
       batchId,
-      total: jobs.length,
+      total: batchState.total,
+      resumed,
+      completed: batchState.completed,
+      failed: batchState.failed,
       providers: Object.fromEntries(
         Object.entries(providerQueues).map(([k, v]) => [k, v.length]).filter(([, v]) => v > 0)
       )
     });
 
+    if (this.beforeBatch) {
+      try {
+        await this.beforeBatch(Object.keys(providerQueues).filter(provider => providerQueues[provider].length > 0));
+      } catch (e) {
+        console.log(`[ORCH] Pre-batch check failed: ${e.message}`);
+      }
+    }
+
     // Run provider queues in parallel
     const providerPromises = Object.entries(providerQueues)
       .filter(([, queue]) => queue.length > 0)
       .map(([provider, queue]) =>
-        this._processProviderQueue(provider, queue, batchState, settings)
+        this._processProviderQueue(provider, queue, batchState, settlers)
       );
 
     await Promise.allSettled(providerPromises);
 
-    this._running = false;
+    this._activeBatches.delete(batchId);
+    this._paused.batches.delete(batchId);
+    this.db.updateBatch(batchId, { status: batchState.cancelled ? 'cancelled' : 'complete' });
+
+    // A cancelled batch leaves its browsers idle; close them once nothing else needs them
+    if (batchState.cancelled) {
+      for (const provider of Object.keys(providerQueues)) this._maybeCloseProvider(provider);
+    }
 
     this.emitProgress({
       event: 'batch:complete',
       batchId,
       completed: batchState.completed,
       failed: batchState.failed,
+      skipped: batchState.skipped,
       total: batchState.total
     });
 
@@ -523,59 +1137,33 @@ class Orchestrator {
       batchId,
       total: batchState.total,
       completed: batchState.completed,
-      failed: batchState.failed
+      failed: batchState.failed,
+      skipped: batchState.skipped
     };
   }
 
-  async _processProviderQueue(provider, queue, batchState, settings) {
+  async _processProviderQueue(provider, queue, batchState, settlers) {
     console.log(`[ORCH] Starting ${provider} queue (${queue.length} jobs) — parallel with semaphore`);
 
-    const sem = this._providerSemaphores[provider];
-
-    // Fire all jobs in parallel, semaphore controls concurrency
+    // Fire all jobs in parallel, semaphore controls concurrency (inside _runJob)
     const jobPromises = queue.map(({ dbJob, jobDef }, i) => (async () => {
-      await sem.acquire();
       try {
-        if (!this._running && batchState.completed + batchState.failed > 0) {
-          return; // Batch cancelled
+        // Wait for upstream steps before taking a slot, so blocked steps never hold one
+        const blockedBy = await this._awaitUpstream(dbJob, batchState);
+        if (batchState.cancelled) return;
+        if (blockedBy) {
+          this._skipJob(dbJob, blockedBy, batchState);
+          return;
         }
-
-        // Update status
-        this.db.updateJob(dbJob.id, { status: 'running' });
-        batchState.running++;
-
-        this.emitProgress({
-          event: 'batch:job-start',
-          batchId: batchState.id,
-          jobId: dbJob.id,
-          provider,
-          index: i + 1,
-          total: queue.length,
-          batchTotal: batchState.total,
-          batchCompleted: batchState.completed
-        });
-
-        // Execute the job
-        await this._executeJob(dbJob, jobDef);
-
-        batchState.running--;
-        const updatedJob = this.db.getJob(dbJob.id);
-        if (updatedJob && updatedJob.status === 'success') {
-          batchState.completed++;
-        } else {
-          batchState.failed++;
+        if (dbJob.imageFrom) {
+          jobDef.image = this.db.getJob(dbJob.imageFrom).outputPath;
+          this.db.updateJob(dbJob.id, { imagePath: jobDef.image });
         }
 
-        this.emitProgress({
-          event: 'batch:progress',
-          batchId: batchState.id,
-          completed: batchState.completed,
-          failed: batchState.failed,
-          total: batchState.total,
-          provider
-        });
+        await this._runBatchJob(provider, dbJob, jobDef, i, queue.length, batchState);
       } finally {
-        sem.release();
+        const row = this.db.getJob(dbJob.id);
+        settlers.get(dbJob.id)(row ? row.status : 'failed');
       }
     })());
 
@@ -583,6 +1171,155 @@ class Orchestrator {
     console.log(`[ORCH] ${provider} queue complete`);
   }
 
+  async _runBatchJob(provider, dbJob, jobDef, i, queueLength, batchState) {
+    let started = false;
+
+    const status = await this._runJob(dbJob, jobDef, () => {
+      started = true;
+      batchState.running++;
+
+      this.emitProgress({
+        event: 'batch:job-start',
+        batchId: batchState.id,
+        jobId: dbJob.id,
+        provider,
+        index: i + 1,
+        total: queueLength,
+        batchTotal: batchState.total,
+        batchCompleted: batchState.completed
+      });
+    });
+
+    if (!started && batchState.cancelled) {
+      return; // Batch cancelled
+    }
+    if (started) batchState.running--;
+
+    if (status === 'success') {
+      batchState.completed++;
+    } else {
+      batchState.failed++;
+    }
+
+    this._emitBatchProgress(batchState, provider);
+  }
+
+  // Resolves to the id of the first upstream job that did not succeed, or null
+  async _awaitUpstream(dbJob, batchState) {
+    const deps = [...new Set([...(dbJob.dependsOn || []), ...(dbJob.imageFrom ? [dbJob.imageFrom] : [])])];
+    for (const depId of deps) {
+      // Upstream jobs outside this run (e.g. finished before a restart) are read from history
+      const status = batchState.settled.has(depId)
+        ? await batchState.settled.get(depId)
+        : this.db.getJob(depId)?.status;
+      if (status !== 'success') return depId;
+      if (depId === dbJob.imageFrom) {
+        const source = this.db.getJob(depId);
+        if (!source.outputPath || !fs.existsSync(source.outputPath)) return depId;
+      }
+    }
+    return null;
+  }
+
+  _skipJob(dbJob, blockedBy, batchState) {
+    const upstream = this.db.getJob(blockedBy);
+    const label = upstream?.stepId || blockedBy;
+    const error = `Skipped: upstream step "${label}" ${upstream ? upstream.status : 'is missing'}`;
+    console.log(`[ORCH] Job ${dbJob.id} ${error}`);
+
+    this.db.updateJob(dbJob.id, { status: 'skipped', error });
+    batchState.skipped++;
+    batchState.failed++;
+    this.emitProgress({ jobId: dbJob.id, provider: dbJob.provider, event: 'skipped', error });
+    this._emitBatchProgress(batchState, dbJob.provider);
+  }
+
+  _emitBatchProgress(batchState, provider) {
+    this.emitProgress({
+      event: 'batch:progress',
+      batchId: batchState.id,
+      completed: batchState.completed,
+      failed: batchState.failed,
+      skipped: batchState.skipped,
+      total: batchState.total,
+      provider
+    });
+  }
+
+  // ============================================
+  // Comparison (Fan-out to every capable provider)
+  // ============================================
+
+  /**
+   * Send one prompt/type to each provider that supports it, grouped under a
+   * comparison id. `providers` narrows the set; fallback is disabled since
+   * the point is to see each provider's own result.
+   */
+  async submitComparison(request) {
+    const providers = providerIds().filter(p =>
+      getProvider(p).types.includes(request.type) &&
+      (!request.providers || request.providers.includes(p))
+    );
+    if (!VALID_TYPES.includes(request.type)) {
+      return { success: false, errors: [`Unknown type "${request.type}". Valid: ${VALID_TYPES.join(', ')}`] };
+    }
+    if (providers.length === 0) {
+      return { success: false, errors: [`No provider supports ${request.type}`] };
+    }
+
+    const jobDefs = providers.map(provider => ({
+      provider,
+      type: request.type,
+      prompt: request.prompt,
+      image: request.image,
+      options: { ...request.options, fallback: false }
+    }));
+
+    const errors = [];
+    for (const jobDef of jobDefs) {
+      this.validateJob(jobDef).forEach(err => errors.push(`${getProvider(jobDef.provider).name}: ${err}`));
+    }
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    const comparisonId = `cmp_${Date.now()}`;
+    const settings = this.config.getSettings();
+    const outputFolder = request.outputFolder || settings.outputFolder || path.join(process.cwd(), 'storage', 'output');
+
+    if (!fs.existsSync(outputFolder)) {
+      fs.mkdirSync(outputFolder, { recursive: true });
+    }
+
+    const jobs = jobDefs.map((jobDef, index) => {
+      const dbJob = this.db.addJob({
+        provider: jobDef.provider,
+        type: jobDef.type,
+        prompt: jobDef.prompt || '',
+        imagePath: jobDef.image || null,
+        outputPath: this._generateOutputPath(jobDef, outputFolder, index + 1),
+        status: 'pending',
+        options: jobDef.options,
+        comparisonId
+      });
+      this._addVariations(dbJob, jobDef, outputFolder, index + 1);
+      return { dbJob, jobDef };
+    });
+
+    this.db.addComparison({
+      id: comparisonId,
+      prompt: request.prompt,
+      type: request.type,
+      jobIds: jobs.map(j => j.dbJob.id)
+    });
+
+    for (const { dbJob, jobDef } of jobs) {
+      this._enqueueJob(dbJob, jobDef);
+    }
+
+    return { success: true, comparisonId, providers, jobIds: jobs.map(j => j.dbJob.id) };
+  }
+
   // ============================================
   // Job Control
   // ============================================
@@ -590,11 +1327,24 @@ class Orchestrator {
   cancelJob(jobId) {
     const active = this._activeJobs.get(jobId);
     if (active) {
+      // The running attempt cleans up and emits 'cancelled' once the converter returns
       active.cancel();
       this._activeJobs.delete(jobId);
       this.db.updateJob(jobId, { status: 'cancelled' });
       return true;
     }
+
+    // Still queued: _runJob sees the status when it gets a slot and never starts
+    const job = this.db.getJob(jobId);
+    if (job && job.status === 'pending') {
+      this.db.updateJob(jobId, { status: 'cancelled' });
+      for (const v of this.db.getVariations(jobId)) {
+        this.db.updateJob(v.id, { status: 'cancelled' });
+      }
+      this.emitProgress({ jobId, event: 'cancelled' });
+      this._wakePaused();
+      return true;
+    }
     return false;
   }
 
@@ -604,59 +1354,294 @@ class Orchestrator {
       this.db.updateJob(jobId, { status: 'cancelled' });
     }
     this._activeJobs.clear();
-    this._running = false;
 
-    // Stop all converters
-    for (const provider of Object.keys(this.converters)) {
-      if (this.converters[provider]) {
-        this.converters[provider].stop().catch(() => {});
-        this.converters[provider] = null;
+    // Mark queued work cancelled too, otherwise it would be resumed on next launch
+    for (const batchState of this._activeBatches.values()) {
+      batchState.cancelled = true;
+    }
+    for (const job of this.db.getUnfinishedJobs()) {
+      this.db.updateJob(job.id, { status: 'cancelled' });
+      // Running jobs report it themselves once they unwind
+      if (!job.parentId) this.emitProgress({ jobId: job.id, event: 'cancelled' });
+    }
+    this._wakePaused();
+    // Browsers stay up; each one closes once its aborted jobs unwind (_maybeCloseProvider)
+  }
+
+  // Like cancelAll(), but only for one batch's jobs; other batches and
+  // interrupted rows waiting for resumeInterrupted() are left alone.
+  cancelBatch(batchId) {
+    const batchState = this._activeBatches.get(batchId);
+    if (batchState) batchState.cancelled = true;
+    for (const job of this.db.getUnfinishedJobs()) {
+      if (job.batchId !== batchId) continue;
+      const active = this._activeJobs.get(job.id);
+      if (active) {
+        active.cancel();
+        this._activeJobs.delete(job.id);
       }
+      this.db.updateJob(job.id, { status: 'cancelled' });
+      if (!active && !job.parentId) this.emitProgress({ jobId: job.id, event: 'cancelled' });
     }
+    this._wakePaused();
+  }
+
+  /**
+   * Pause new work for one batch ({ batchId }), one provider queue ({ provider })
+   * or everything ({}). Running jobs finish; the rest stay pending.
+   */
+  pause(scope = {}) {
+    return this._setPaused(scope, true);
+  }
+
+  resume(scope = {}) {
+    return this._setPaused(scope, false);
+  }
+
+  getPauseState() {
+    return {
+      global: this._paused.global,
+      providers: [...this._paused.providers],
+      batches: [...this._paused.batches]
+    };
+  }
+
+  _setPaused({ batchId, provider } = {}, paused) {
+    if (batchId) {
+      if (paused && !this._activeBatches.has(batchId)) {
+        return { success: false, error: 'Batch is not running' };
+      }
+      this._paused.batches[paused ? 'add' : 'delete'](batchId);
+    } else if (provider) {
+      if (!getProvider(provider)) {
+        return { success: false, error: `Invalid provider "${provider}"` };
+      }
+      this._paused.providers[paused ? 'add' : 'delete'](provider);
+    } else {
+      this._paused.global = paused;
+    }
+
+    console.log(`[ORCH] ${paused ? 'Paused' : 'Resumed'} ${batchId ? `batch ${batchId}` : provider || 'all jobs'}`);
+    if (!paused) this._wakePaused();
+    this.emitProgress({ event: 'pause:changed', ...this.getPauseState() });
+    return { success: true, ...this.getPauseState() };
   }
 
   async retryJob(jobId) {
     const job = this.db.getJob(jobId);
     if (!job) return { success: false, errors: ['Job not found'] };
 
-    const jobDef = {
-      provider: job.provider,
-      type: job.type,
-      prompt: job.prompt,
-      image: job.imagePath,
-      options: job.options || {},
-      outputFolder: path.dirname(job.outputPath)
-    };
+    const jobDef = this._jobDefFromRow(job);
+    if (jobDef.type === 'image-to-video' && !jobDef.image) {
+      return { success: false, errors: ['Upstream step has no output image yet'] };
+    }
 
-    // Update existing job status
-    this.db.updateJob(jobId, { status: 'running', error: null });
+    // Update existing job status and queue it like a fresh submission
+    this.db.updateJob(jobId, {
+      status: 'pending', error: null, errorCategory: null, producedBy: null, account: null, attemptChain: []
+    });
 
     const dbJob = { ...job, id: jobId };
-    this._executeJob(dbJob, jobDef);
+    this._enqueueJob(dbJob, jobDef);
 
     return { success: true, jobId };
   }
 
+  // ============================================
+  // Crash Recovery
+  // ============================================
+
+  /**
+   * Rebuild queues from history after a restart. Pending jobs are always
+   * requeued; jobs that were mid-flight follow settings.interruptedJobPolicy
+   * ('requeue' or 'interrupt'). Batches continue with their original batchId.
+   */
+  resumeInterrupted() {
+    const settings = this.config.getSettings();
+    const unfinished = this.db.getUnfinishedJobs();
+    const summary = { resumed: 0, interrupted: 0 };
+    if (unfinished.length === 0) return summary;
+
+    const policy = settings.interruptedJobPolicy || 'requeue';
+    const standalone = [];
+    const batches = new Map();
+
+    for (const row of unfinished) {
+      // Variations are re-run by their parent job; they only follow its outcome here
+      if (row.parentId) {
+        const parent = this.db.getJob(row.parentId);
+        if (!parent || parent.status !== 'pending') {
+          this.db.updateJob(row.id, { status: 'interrupted', error: 'Parent job was not resumed' });
+        } else if (row.status === 'running') {
+          this.db.updateJob(row.id, { status: 'pending' });
+        }
+        continue;
+      }
+
+      const wasRunning = row.status === 'running';
+      const resumeCount = (row.resumeCount || 0) + (wasRunning ? 1 : 0);
+
+      const skip = settings.resumeOnStartup === false ||
+        !getProvider(row.provider) ||
+        (wasRunning && policy !== 'requeue') ||
+        resumeCount > MAX_RESUMES;
+
+      if (skip) {
+        this.db.updateJob(row.id, {
+          status: 'interrupted',
+          error: wasRunning ? 'Interrupted by app restart' : 'Not started before app closed'
+        });
+        summary.interrupted++;
+        continue;
+      }
+
+      const dbJob = this.db.updateJob(row.id, { status: 'pending', resumeCount });
+      const entry = { dbJob: { ...dbJob }, jobDef: this._jobDefFromRow(dbJob) };
+      if (row.batchId) {
+        if (!batches.has(row.batchId)) batches.set(row.batchId, []);
+        batches.get(row.batchId).push(entry);
+      } else {
+        standalone.push(entry);
+      }
+      summary.resumed++;
+    }
+
+    console.log(`[ORCH] Resuming ${summary.resumed} job(s) across ${batches.size} batch(es), ${summary.interrupted} marked interrupted`);
+
+    for (const { dbJob, jobDef } of standalone) {
+      this._enqueueJob(dbJob, jobDef);
+    }
+
+    for (const [batchId, jobs] of batches.entries()) {
+      jobs.sort((a, b) => (a.dbJob.batchIndex || 0) - (b.dbJob.batchIndex || 0));
+      this._runBatch(batchId, jobs, { resumed: true }).catch(e => {
+        console.log(`[ORCH] Resumed batch ${batchId} error: ${e.message}`);
+      });
+    }
+
+    return summary;
+  }
+
+  // ============================================
+  // Account Rotation
+  // ============================================
+
+  _accountUsage(provider, accountId) {
+    const key = `${provider}/${accountId}`;
+    if (!this._accountUse.has(key)) this._accountUse.set(key, { active: 0, started: 0 });
+    return this._accountUse.get(key);
+  }
+
+  /**
+   * Next enabled account for a job (settings.accountRotation). Accounts marked
+   * invalid or resting after a quota failure are passed over while another
+   * one is usable. Returns null when every enabled account is excluded.
+   */
+  _pickAccount(provider, excluded = new Set()) {
+    const accounts = this.config.getAccounts(provider);
+    const enabled = accounts.filter(a => a.enabled !== false && !excluded.has(a.id));
+    if (enabled.length === 0) return null;
+
+    const now = Date.now();
+    const healthy = enabled.filter(a =>
+      a.status !== 'invalid' && !(this._accountRestUntil.get(`${provider}/${a.id}`) > now));
+    const candidates = healthy.length > 0 ? healthy : enabled;
+
+    if (this.config.getSettings().accountRotation === 'least-used') {
+      const load = a => this._accountUsage(provider, a.id);
+      return candidates.reduce((best, a) =>
+        load(a).active < load(best).active ||
+        (load(a).active === load(best).active && load(a).started < load(best).started) ? a : best);
+    }
+
+    // Round-robin: the first candidate after the account used last
+    const last = accounts.findIndex(a => a.id === this._lastAccount[provider]);
+    const order = a => (accounts.indexOf(a) - last - 1 + accounts.length) % accounts.length;
+    return candidates.reduce((best, a) => order(a) < order(best) ? a : best);
+  }
+
+  // Take an account out of rotation after a quota (for a while) or sign-in failure (until re-validated)
+  _restAccount(provider, account, category) {
+    if (category === 'auth-expired') {
+      console.log(`[ORCH] ${provider} account "${account.name}" signed out, marking invalid`);
+      this.config.setProviderStatus(provider, 'invalid', account.id);
+    } else {
+      console.log(`[ORCH] ${provider} account "${account.name}" hit a quota, resting ${ACCOUNT_QUOTA_REST}s`);
+      this._accountRestUntil.set(`${provider}/${account.id}`, Date.now() + ACCOUNT_QUOTA_REST * 1000);
+    }
+  }
+
   // ============================================
   // Helpers
   // ============================================
 
+  // Once a provider has no work left its browser contexts stay warm for
+  // settings.browserPool.idleTimeout seconds, so the next job skips the startup
   _maybeCloseProvider(provider) {
     // Check if any pending or active jobs remain for this provider
     if (this._providerJobCounts[provider] > 0) return;
     // Also skip if a batch is running (batch handles its own lifecycle)
-    if (this._running) return;
+    if (this._activeBatches.size > 0) return;
 
-    // No pending/active jobs and not in batch mode — close the browser
-    const converter = this.converters[provider];
-    if (converter && converter.isBrowserAlive()) {
-      console.log(`[ORCH] No more jobs for ${provider}, closing browser`);
-      converter.stop().catch(() => {});
-      this.converters[provider] = null;
+    clearTimeout(this._idleTimers[provider]);
+    const { idleTimeout } = this._browserPool();
+    if (idleTimeout === 0) return this._closeProvider(provider);
+    this._idleTimers[provider] = setTimeout(() => this._closeProvider(provider), idleTimeout * 1000);
+    this._idleTimers[provider].unref?.();
+  }
+
+  _closeProvider(provider) {
+    delete this._idleTimers[provider];
+    // Work came in while the browsers were idling
+    if (this._providerJobCounts[provider] > 0 || this._activeBatches.size > 0) return;
+
+    // No pending/active jobs and not in batch mode — close the browsers
+    const pool = this.converters[provider];
+    for (const [accountId, converter] of Object.entries(pool)) {
+      if (converter.isBrowserAlive()) {
+        console.log(`[ORCH] No more jobs for ${provider}, closing browser`);
+        converter.stop().catch(() => {});
+      }
+      delete pool[accountId];
+    }
+  }
+
+  _jobDefFromRow(row) {
+    // A pipeline step that never ran has no image yet; take it from the upstream output
+    const source = !row.imagePath && row.imageFrom ? this.db.getJob(row.imageFrom) : null;
+    return {
+      provider: row.provider,
+      type: row.type,
+      prompt: row.prompt,
+      image: row.imagePath || (source && source.status === 'success' ? source.outputPath : null),
+      options: row.options || {},
+      outputFolder: row.outputPath ? path.dirname(row.outputPath) : undefined
+    };
+  }
+
+  // Child rows for options.count > 1; the parent job runs them and reports the total
+  _addVariations(dbJob, jobDef, outputFolder, index, namingPattern) {
+    const count = jobDef.options?.count || 1;
+    if (count < 2) return;
+
+    for (let v = 1; v <= count; v++) {
+      this.db.addJob({
+        provider: dbJob.provider,
+        type: dbJob.type,
+        prompt: dbJob.prompt,
+        imagePath: dbJob.imagePath,
+        outputPath: this._generateOutputPath(jobDef, outputFolder, index, namingPattern, v),
+        status: 'pending',
+        options: dbJob.options,
+        batchId: dbJob.batchId,
+        parentId: dbJob.id,
+        variation: v
+      });
     }
+    this.db.updateJob(dbJob.id, { variations: count });
   }
 
-  _generateOutputPath(jobDef, outputFolder, index, namingPattern) {
+  _generateOutputPath(jobDef, outputFolder, index, namingPattern, variation) {
     const pattern = namingPattern || this.config.getSettings().namingPattern || '{provider}_{index}_{timestamp}';
     const timestamp = Date.now();
     const safePrompt = (jobDef.prompt || 'unnamed').substring(0, 30)
@@ -669,35 +1654,114 @@ class Orchestrator {
       .replace('{index}', String(index).padStart(3, '0'))
       .replace('{timestamp}', timestamp)
       .replace('{prompt}', safePrompt)
-      .replace('{type}', jobDef.type);
+      .replace('{type}', jobDef.type)
+      .replace('{variation}', variation ? String(variation).padStart(2, '0') : '');
+
+    // Variations need distinct names even when the pattern has no {variation} token
+    const suffix = variation && !pattern.includes('{variation}') ? `_v${String(variation).padStart(2, '0')}` : '';
+
+    return path.join(outputFolder, baseName + suffix + ext);
+  }
 
-    return path.join(outputFolder, baseName + ext);
+  // Breaker probe
+  async _probeProvider(provider) {
+    return this._probeAccount(provider, this._pickAccount(provider)?.id);
   }
 
+  // Validate on a converter of its own so running jobs keep their browser.
+  // A profile can only be open once, so its idle browser is closed first;
+  // resolves to null without probing when jobs are using it.
+  async _probeAccount(provider, accountId) {
+    if (this.profileDir(provider, accountId)) {
+      const released = await this.releaseAccount(provider, accountId);
+      if (!released.success) return null;
+    }
+    const converter = this._createConverter(provider, accountId);
+    try {
+      return await converter.validateSession();
+    } finally {
+      converter.stop().catch(() => {});
+    }
+  }
+
+  getCircuitStatus() {
+    const status = {};
+    for (const [provider, breaker] of Object.entries(this._breakers)) {
+      status[provider] = breaker.getStatus();
+    }
+    return status;
+  }
+
+  // App quit or window close. Unlike cancelAll() this leaves history as it is:
+  // history is closed first, so jobs unwinding from the closed browsers can't
+  // record a failure, and pending/running rows are resumed on the next launch
+  // (resumeInterrupted).
   async shutdown() {
-    this.cancelAll();
-    for (const provider of Object.keys(this.converters)) {
-      if (this.converters[provider]) {
+    this.db.close();
+    this._stopped = true;
+    for (const active of this._activeJobs.values()) active.cancel();
+    this._activeJobs.clear();
+    this._wakePaused();
+    Object.values(this._idleTimers).forEach(timer => clearTimeout(timer));
+    this._idleTimers = {};
+    Object.values(this._breakers).forEach(breaker => breaker.dispose());
+    for (const pool of Object.values(this.converters)) {
+      for (const accountId of Object.keys(pool)) {
         try {
-          await this.converters[provider].stop();
+          await pool[accountId].stop();
         } catch (e) {}
-        this.converters[provider] = null;
+        delete pool[accountId];
       }
     }
   }
 
-  // Validate cookies for a provider
-  async validateProvider(provider) {
-    try {
-      const converter = await this._getConverter(provider);
-      const valid = await converter.validateSession();
-      this.config.setProviderStatus(provider, valid ? 'valid' : 'invalid');
-      return valid;
-    } catch (e) {
-      this.config.setProviderStatus(provider, 'invalid');
-      return false;
+  // Validate cookies for one account, or every enabled account of the provider.
+  // True if any of them is signed in.
+  async validateProvider(provider, accountId) {
+    const accounts = accountId
+      ? [this.config.getAccount(provider, accountId)].filter(Boolean)
+      : this.config.getAccounts(provider).filter(a => a.enabled !== false);
+
+    let anyValid = false;
+    for (const account of accounts) {
+      // A separate browser: the pooled one may be running jobs
+      const valid = await this._probeAccount(provider, account.id).catch(() => false);
+      // Busy with jobs: the last known status stands
+      if (valid === null) {
+        anyValid = anyValid || account.status === 'valid';
+        continue;
+      }
+      if (valid) this.markAccountValid(provider, account.id);
+      else this.config.setProviderStatus(provider, 'invalid', account.id);
+      anyValid = anyValid || valid;
     }
+    return anyValid;
+  }
+
+  // Background re-validation of one account (see session-monitor.js). Updates its
+  // status and resolves to whether it is signed in, or null when it was skipped
+  // because jobs are running on it.
+  async checkAccount(provider, accountId) {
+    if (this._accountUsage(provider, accountId).active > 0) return null;
+    const valid = await this._probeAccount(provider, accountId).catch(() => false);
+    if (valid === null) return null;
+    if (valid) this.markAccountValid(provider, accountId);
+    else this.config.setProviderStatus(provider, 'invalid', accountId);
+    return valid;
+  }
+
+  // Hold the provider's queue until a probe or validation finds it signed in again
+  holdProvider(provider, reason) {
+    this._breakers[provider].trip(reason);
+  }
+
+  // Also used when a session was confirmed another way (the browser login).
+  // A fresh valid session lets a resting account and a tripped provider run again.
+  markAccountValid(provider, accountId) {
+    this.config.setProviderStatus(provider, 'valid', accountId);
+    this._accountRestUntil.delete(`${provider}/${accountId}`);
+    this._breakers[provider].reset();
   }
 }
 
-module.exports = { Orchestrator, CAPABILITIES };
+module.exports = { Orchestrator };
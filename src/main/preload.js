@@ -6,6 +6,9 @@ contextBridge.exposeInMainWorld('api', {
   submitBatch: (batch) => ipcRenderer.invoke('job:submit-batch', batch),
   cancelJob: (jobId) => ipcRenderer.invoke('job:cancel', jobId),
   cancelAll: () => ipcRenderer.invoke('job:cancel-all'),
+  pauseJobs: (scope) => ipcRenderer.invoke('job:pause', scope),
+  resumeJobs: (scope) => ipcRenderer.invoke('job:resume', scope),
+  getPauseState: () => ipcRenderer.invoke('job:pause-state'),
   retryJob: (jobId) => ipcRenderer.invoke('job:retry', jobId),
 
   // Job events (main -> renderer)
@@ -31,13 +34,43 @@ contextBridge.exposeInMainWorld('api', {
   },
 
   // Cookie management
-  saveCookies: (provider, cookies) => ipcRenderer.invoke('cookies:save', provider, cookies),
-  validateCookies: (provider) => ipcRenderer.invoke('cookies:validate', provider),
+  saveCookies: (provider, cookies, accountId) => ipcRenderer.invoke('cookies:save', provider, cookies, accountId),
+  setCookiePassphrase: (passphrase) => ipcRenderer.invoke('cookies:passphrase', passphrase),
+  validateCookies: (provider, accountId) => ipcRenderer.invoke('cookies:validate', provider, accountId),
+  importCookies: (provider, accountId) => ipcRenderer.invoke('cookies:import', provider, accountId),
+  loginWithBrowser: (provider, accountId) => ipcRenderer.invoke('cookies:login', provider, accountId),
+  inspectProfile: (provider, accountId) => ipcRenderer.invoke('profiles:inspect', provider, accountId),
+  resetProfile: (provider, accountId) => ipcRenderer.invoke('profiles:reset', provider, accountId),
+  openProfileFolder: (provider, accountId) => ipcRenderer.invoke('profiles:open', provider, accountId),
+  addAccount: (provider, def) => ipcRenderer.invoke('accounts:add', provider, def),
+  updateAccount: (provider, accountId, updates) => ipcRenderer.invoke('accounts:update', provider, accountId, updates),
+  removeAccount: (provider, accountId) => ipcRenderer.invoke('accounts:remove', provider, accountId),
   getCookieStatus: () => ipcRenderer.invoke('cookies:status'),
 
   // Config
   loadConfig: () => ipcRenderer.invoke('config:load'),
   saveConfig: (settings) => ipcRenderer.invoke('config:save', settings),
+  getQuotaUsage: () => ipcRenderer.invoke('quota:usage'),
+  getCircuitStatus: () => ipcRenderer.invoke('provider:circuit'),
+  getErrorCategories: () => ipcRenderer.invoke('errors:categories'),
+  getApiStatus: () => ipcRenderer.invoke('api:status'),
+  regenerateApiToken: () => ipcRenderer.invoke('api:regenerate-token'),
+  getWatchStatus: () => ipcRenderer.invoke('watch:status'),
+  getSessionStatus: () => ipcRenderer.invoke('sessions:status'),
+  checkSessions: () => ipcRenderer.invoke('sessions:check'),
+  detectBrowser: (settings) => ipcRenderer.invoke('browser:detect', settings),
+
+  // Comparisons
+  submitComparison: (request) => ipcRenderer.invoke('compare:submit', request),
+  getComparisons: (options) => ipcRenderer.invoke('compare:list', options),
+  setComparisonWinner: (comparisonId, jobId) => ipcRenderer.invoke('compare:winner', comparisonId, jobId),
+
+  // Schedules
+  getSchedules: () => ipcRenderer.invoke('schedule:list'),
+  addSchedule: (def) => ipcRenderer.invoke('schedule:add', def),
+  updateSchedule: (id, updates) => ipcRenderer.invoke('schedule:update', id, updates),
+  deleteSchedule: (id) => ipcRenderer.invoke('schedule:delete', id),
+  runSchedule: (id) => ipcRenderer.invoke('schedule:run', id),
 
   // History
   getHistory: (options) => ipcRenderer.invoke('history:get', options),
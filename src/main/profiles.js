@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+
+// Provider and account ids as the registry and Config create them
+const ID_PATTERN = /^[\w-]+$/;
+
+/**
+ * Persistent Chrome profiles, one folder per provider and account under
+ * `rootDir` (userData/profiles). Used by providers declaring `profiles: true`
+ * when settings.browserProfiles[provider] is on: the converter then keeps the
+ * site's cookies, localStorage and cache between launches instead of starting
+ * fresh with only the stored cookies.
+ */
+class ProfileStore {
+  constructor(rootDir) {
+    this.rootDir = rootDir;
+  }
+
+  // The ids come from the renderer too, and reset() deletes what this returns
+  dir(provider, accountId) {
+    if (!ID_PATTERN.test(provider || '') || !ID_PATTERN.test(accountId || '')) {
+      throw new Error(`Invalid profile ${provider}/${accountId}`);
+    }
+    const root = path.resolve(this.rootDir);
+    const dir = path.resolve(root, provider, accountId);
+    if (path.relative(root, dir) !== path.join(provider, accountId)) {
+      throw new Error(`Invalid profile ${provider}/${accountId}`);
+    }
+    return dir;
+  }
+
+  // { path, exists, size (bytes), lastUsed (ISO) } for the Settings screen
+  inspect(provider, accountId) {
+    const dir = this.dir(provider, accountId);
+    if (!fs.existsSync(dir)) return { path: dir, exists: false, size: 0, lastUsed: null };
+
+    let size = 0;
+    let lastUsed = 0;
+    const walk = (current) => {
+      for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+        const entryPath = path.join(current, entry.name);
+        try {
+          if (entry.isDirectory()) {
+            walk(entryPath);
+          } else {
+            const stat = fs.statSync(entryPath);
+            size += stat.size;
+            lastUsed = Math.max(lastUsed, stat.mtimeMs);
+          }
+        } catch (e) {
+          // Chrome removes temp files while running
+        }
+      }
+    };
+    walk(dir);
+
+    return { path: dir, exists: true, size, lastUsed: lastUsed ? new Date(lastUsed).toISOString() : null };
+  }
+
+  // The browser must be closed first (see Orchestrator.resetProfile)
+  reset(provider, accountId) {
+    let dir;
+    try {
+      dir = this.dir(provider, accountId);
+    } catch (e) {
+      return { success: false, errors: [e.message] };
+    }
+    try {
+      fs.rmSync(dir, { recursive: true, force: true });
+      console.log(`[PROFILES] Reset ${provider}/${accountId}`);
+      return { success: true };
+    } catch (e) {
+      return { success: false, errors: [`Could not delete ${dir}: ${e.message}`] };
+    }
+  }
+}
+
+module.exports = { ProfileStore };
@@ -1,11 +1,47 @@
-const { chromium } = require('playwright-core');
 const fs = require('fs');
 const path = require('path');
+const { openBrowser, applyCookies } = require('../browser');
+const { isAborted, throwIfAborted, onAbort, sleep, removePartial } = require('../cancellation');
+const { classifyError, isRetryable } = require('../errors');
+
+// Null when the page shows a signed-in session, otherwise the reason it doesn't.
+// start() runs it once; the browser login polls it while the user signs in.
+async function checkLoggedIn(page) {
+  const currentUrl = page.url();
+  if (currentUrl.toLowerCase().includes('login') ||
+      currentUrl.toLowerCase().includes('auth') ||
+      currentUrl.toLowerCase().includes('x.com/i/flow')) {
+    return `Not logged in. Redirected to: ${currentUrl}`;
+  }
+
+  try {
+    const inputSelectors = [
+      'textarea[placeholder*="imagine" i]', 'textarea[placeholder*="type" i]',
+      'div[contenteditable="true"]', '[data-placeholder]'
+    ];
+    for (const selector of inputSelectors) {
+      if (await page.locator(selector).first().count() > 0) return null;
+    }
+    const loginIndicators = ['text="Sign in"', 'text="Log in"', 'text="Sign up"'];
+    for (const selector of loginIndicators) {
+      const el = page.locator(selector).first();
+      if (await el.count() > 0 && await el.isVisible()) {
+        return 'Not logged in. Please provide valid cookies.';
+      }
+    }
+  } catch (e) {
+    // Page navigated mid-check
+  }
+  return null;
+}
 
 class GrokConverter {
   constructor(cookies, options = {}) {
     this.cookies = cookies;
     this.headless = options.headless !== false;
+    this.profileDir = options.profileDir || null; // persistent Chrome profile (see profiles.js)
+    this.network = options.network || {};         // proxy, user agent, locale (see network.js)
+    this.browserSettings = options.browser || {}; // which browser to launch (see browser.js)
     this.retryAttempts = options.retryAttempts || 3;
     this.delayBetween = options.delayBetween || 5;
 
@@ -35,19 +71,6 @@ class GrokConverter {
 
     console.log('[GROK] Starting browser...');
 
-    try {
-      this.browser = await chromium.launch({
-        headless: this.headless,
-        channel: 'chrome',
-        args: ['--disable-blink-features=AutomationControlled']
-      });
-    } catch (e) {
-      if (e.message.includes('Executable doesn\'t exist') || e.message.includes('executable')) {
-        throw new Error('Google Chrome is not installed. Please install Chrome from https://google.com/chrome');
-      }
-      throw e;
-    }
-
     const os = require('os');
     const tempDownloadDir = path.join(os.tmpdir(), 'aivg-grok-downloads');
     if (!fs.existsSync(tempDownloadDir)) {
@@ -55,11 +78,16 @@ class GrokConverter {
     }
     this._tempDownloadDir = tempDownloadDir;
 
-    this.context = await this.browser.newContext({
-      viewport: { width: 1920, height: 1080 },
-      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-      acceptDownloads: true
-    });
+    ({ browser: this.browser, context: this.context } = await openBrowser({
+      headless: this.headless,
+      profileDir: this.profileDir,
+      network: this.network,
+      browserSettings: this.browserSettings,
+      contextOptions: {
+        viewport: { width: 1920, height: 1080 },
+        acceptDownloads: true
+      }
+    }));
 
     const cookieList = [];
     const grokCookies = ['sso', 'sso-rw', 'x-userid', 'i18nextLng'];
@@ -76,12 +104,13 @@ class GrokConverter {
       cookieList.push({ name: 'sso-rw', value: this.cookies['sso-rw_xai'], domain: '.x.ai', path: '/' });
     }
 
-    if (cookieList.length === 0) {
+    // A profile can carry the session on its own
+    if (cookieList.length === 0 && !this.profileDir) {
       throw new Error('No valid Grok cookies provided. Please provide sso and sso-rw cookies from grok.com');
     }
 
-    await this.context.addCookies(cookieList);
-    console.log(`[GROK] Added ${cookieList.length} cookies`);
+    const added = await applyCookies(this.context, cookieList, this.profileDir);
+    console.log(`[GROK] Added ${added} cookies`);
 
     this.page = await this.context.newPage();
 
@@ -89,41 +118,12 @@ class GrokConverter {
     await this.page.goto('https://grok.com/imagine', { waitUntil: 'domcontentloaded', timeout: 60000 });
     await this.page.waitForTimeout(2000);
 
-    const currentUrl = this.page.url();
-    console.log('[GROK] Current URL:', currentUrl);
-
-    if (currentUrl.toLowerCase().includes('login') ||
-        currentUrl.toLowerCase().includes('auth') ||
-        currentUrl.toLowerCase().includes('x.com/i/flow')) {
-      throw new Error(`Not logged in. Redirected to: ${currentUrl}`);
-    }
+    console.log('[GROK] Current URL:', this.page.url());
 
     // Verify logged in
-    try {
-      await this.page.waitForTimeout(2000);
-      const inputSelectors = [
-        'textarea[placeholder*="imagine" i]', 'textarea[placeholder*="type" i]',
-        'div[contenteditable="true"]', '[data-placeholder]'
-      ];
-      let foundInput = false;
-      for (const selector of inputSelectors) {
-        if (await this.page.locator(selector).first().count() > 0) {
-          foundInput = true;
-          break;
-        }
-      }
-      if (!foundInput) {
-        const loginIndicators = ['text="Sign in"', 'text="Log in"', 'text="Sign up"'];
-        for (const selector of loginIndicators) {
-          const el = this.page.locator(selector).first();
-          if (await el.count() > 0 && await el.isVisible()) {
-            throw new Error('Not logged in. Please provide valid cookies.');
-          }
-        }
-      }
-    } catch (e) {
-      if (e.message.includes('Not logged in')) throw e;
-    }
+    await this.page.waitForTimeout(2000);
+    const notLoggedIn = await checkLoggedIn(this.page);
+    if (notLoggedIn) throw new Error(notLoggedIn);
 
     console.log('[GROK] Ready!');
     this._running = true;
@@ -173,6 +173,14 @@ class GrokConverter {
     }
   }
 
+  // Close the current job's tab when its signal aborts. Returns a detach function.
+  _bindAbort(signal) {
+    const page = this.page;
+    return onAbort(signal, () => {
+      if (page) page.close().catch(() => {});
+    });
+  }
+
   async _navigateToImagine() {
     console.log('[GROK] Opening fresh /imagine tab...');
     try {
@@ -718,7 +726,7 @@ class GrokConverter {
     return false;
   }
 
-  async _waitForVideoGeneration(timeout = 180, resolution = null) {
+  async _waitForVideoGeneration(timeout = 180, resolution = null, signal = null) {
     console.log(`[GROK] Waiting for video (max ${timeout}s)...`);
 
     const startTime = Date.now();
@@ -755,7 +763,7 @@ class GrokConverter {
 
     try {
       while ((Date.now() - startTime) / 1000 < timeout) {
-        if (!this._running) return null;
+        if (!this._running || isAborted(signal)) return null;
         const elapsed = Math.floor((Date.now() - startTime) / 1000);
 
         if (elapsed - lastLog >= 15) {
@@ -980,13 +988,14 @@ class GrokConverter {
     return false;
   }
 
-  async _downloadWithRetry(videoUrl, outputPath, maxRetries = 3) {
+  async _downloadWithRetry(videoUrl, outputPath, maxRetries = 3, signal = null) {
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      throwIfAborted(signal);
       console.log(`[GROK] Download attempt ${attempt}/${maxRetries}...`);
       if (await this._downloadVideo(videoUrl, outputPath)) return true;
       if (attempt < maxRetries) {
         console.log(`[GROK] Download attempt ${attempt} failed, waiting 2s before retry...`);
-        await new Promise(r => setTimeout(r, 2000));
+        await sleep(2000, signal);
       }
     }
     console.log(`[GROK] All ${maxRetries} download attempts failed`);
@@ -1002,13 +1011,14 @@ class GrokConverter {
       prompt = '';
     }
 
-    const { duration, resolution } = options;
+    const { duration, resolution, signal } = options;
     const result = { success: false, videoUrl: null, outputPath, error: null, attempts: 0 };
     const update = (stage, percent) => { if (progressCallback) progressCallback(stage, percent); };
 
     for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
-      if (!this._running) break;
+      if (!this._running || isAborted(signal)) break;
       result.attempts = attempt;
+      let detachAbort = () => {};
 
       try {
         if (attempt > 1) update(`Retry ${attempt}/${this.retryAttempts}...`, 5);
@@ -1020,6 +1030,7 @@ class GrokConverter {
           update('Opening fresh tab...', 5);
           await this._navigateToImagine();
         }
+        detachAbort = this._bindAbort(signal);
 
         update('Selecting video mode...', 10);
         const videoModeOk = await this._selectVideoMode();
@@ -1048,13 +1059,15 @@ class GrokConverter {
         }
 
         update('Generating video...', 40);
-        const videoUrl = await this._waitForVideoGeneration(180, resolution);
+        const videoUrl = await this._waitForVideoGeneration(180, resolution, signal);
 
+        throwIfAborted(signal);
         if (!videoUrl) throw new Error('Video generation timed out');
 
         result.videoUrl = videoUrl;
         update('Downloading video...', 85);
-        const downloadSuccess = await this._downloadWithRetry(videoUrl, outputPath);
+        const downloadSuccess = await this._downloadWithRetry(videoUrl, outputPath, 3, signal);
+        throwIfAborted(signal);
 
         if (downloadSuccess) {
           update('Complete!', 100);
@@ -1067,16 +1080,27 @@ class GrokConverter {
         }
 
       } catch (e) {
+        if (isAborted(signal)) {
+          result.error = 'Cancelled';
+          result.cancelled = true;
+          removePartial(outputPath);
+          console.log('[GROK] Cancelled');
+          return result;
+        }
         result.error = e.message;
         console.log(`[GROK] Error: ${e.message}`);
+        result.errorCategory = classifyError(e.message);
+        if (!isRetryable(result.errorCategory)) break;
         if (attempt < this.retryAttempts) {
           await this.page.waitForTimeout(2000);
           try { await this._navigateToImagine(); } catch (e) {}
         }
+      } finally {
+        detachAbort();
       }
     }
 
-    update(`Failed after ${this.retryAttempts} attempts`, -1);
+    update(`Failed after ${result.attempts} attempts`, -1);
     return result;
   }
 
@@ -1084,9 +1108,11 @@ class GrokConverter {
    * Text-to-Video generation (unique to Grok)
    */
   async textToVideo(prompt, outputDir, options = {}, progressCallback) {
-    const { namingPattern = '{prompt}', aspectRatio = '9:16', duration, resolution } = options;
+    const { namingPattern = '{prompt}', aspectRatio = '9:16', duration, resolution, signal } = options;
     const result = { success: false, videoPath: null, videoUrl: null, error: null };
     const update = (stage, percent) => { if (progressCallback) progressCallback(stage, percent); };
+    let detachAbort = () => {};
+    let videoPath = null;
 
     try {
       const safePrompt = prompt.substring(0, 50).replace(/[^a-zA-Z0-9]/g, '_').replace(/_+/g, '_').replace(/_$/, '');
@@ -1095,7 +1121,7 @@ class GrokConverter {
         .replace('{prompt}', safePrompt)
         .replace('{timestamp}', timestamp)
         .replace(/\.(mp4|png|jpg|jpeg)$/i, '');
-      const videoPath = path.join(outputDir, `${baseName}.mp4`);
+      videoPath = path.join(outputDir, `${baseName}.mp4`);
 
       if (!this.browser || !this.browser.isConnected()) {
         update('Starting browser...', 5);
@@ -1104,6 +1130,7 @@ class GrokConverter {
         update('Opening fresh tab...', 5);
         await this._navigateToImagine();
       }
+      detachAbort = this._bindAbort(signal);
 
       update('Selecting video mode...', 10);
       const videoModeOk = await this._selectVideoMode();
@@ -1136,13 +1163,15 @@ class GrokConverter {
       await this._clickGenerateButton();
 
       update('Generating video...', 30);
-      const videoUrl = await this._waitForVideoGeneration(180, resolution);
+      const videoUrl = await this._waitForVideoGeneration(180, resolution, signal);
 
+      throwIfAborted(signal);
       if (!videoUrl) throw new Error('Video generation timed out');
 
       result.videoUrl = videoUrl;
       update('Downloading video...', 85);
-      const downloadSuccess = await this._downloadWithRetry(videoUrl, videoPath);
+      const downloadSuccess = await this._downloadWithRetry(videoUrl, videoPath, 3, signal);
+      throwIfAborted(signal);
 
       if (downloadSuccess) {
         update('Complete!', 100);
@@ -1154,8 +1183,16 @@ class GrokConverter {
       }
 
     } catch (e) {
-      result.error = e.message;
-      console.log(`[GROK] Text-to-video error: ${e.message}`);
+      if (isAborted(signal)) {
+        result.error = 'Cancelled';
+        result.cancelled = true;
+        removePartial(videoPath);
+      } else {
+        result.error = e.message;
+        console.log(`[GROK] Text-to-video error: ${e.message}`);
+      }
+    } finally {
+      detachAbort();
     }
 
     return result;
@@ -1165,10 +1202,11 @@ class GrokConverter {
    * Text-to-Image generation
    */
   async generateImage(prompt, outputPath, options = {}) {
-    const { aspectRatio = '1:1', progressCallback } = typeof options === 'function'
+    const { aspectRatio = '1:1', progressCallback, signal } = typeof options === 'function'
       ? { progressCallback: options } : options;
     const result = { success: false, imagePath: null, error: null };
     const update = (stage, percent) => { if (progressCallback) progressCallback(stage, percent); };
+    let detachAbort = () => {};
 
     try {
       if (!this.browser || !this.browser.isConnected()) {
@@ -1178,6 +1216,7 @@ class GrokConverter {
         update('Opening fresh tab...', 5);
         await this._navigateToImagine();
       }
+      detachAbort = this._bindAbort(signal);
 
       // Use the React-compatible _typePrompt method (fill() doesn't work with React)
       update('Entering prompt...', 15);
@@ -1207,8 +1246,9 @@ class GrokConverter {
       await this.page.waitForTimeout(2000);
 
       update('Waiting for image...', 40);
-      const imageInfo = await this._waitForImageGeneration(120);
+      const imageInfo = await this._waitForImageGeneration(120, signal);
 
+      throwIfAborted(signal);
       if (!imageInfo) {
         throw new Error('Image generation timed out');
       }
@@ -1219,6 +1259,7 @@ class GrokConverter {
       update('Downloading image...', 85);
       const downloadUrl = fullResUrl || imageInfo.src;
       const downloadSuccess = await this._downloadImageFile(downloadUrl, outputPath);
+      throwIfAborted(signal);
 
       if (downloadSuccess) {
         update('Complete!', 100);
@@ -1228,14 +1269,22 @@ class GrokConverter {
         throw new Error('Failed to download image');
       }
     } catch (e) {
-      result.error = e.message;
-      console.log(`[GROK] Image generation error: ${e.message}`);
+      if (isAborted(signal)) {
+        result.error = 'Cancelled';
+        result.cancelled = true;
+        removePartial(outputPath);
+      } else {
+        result.error = e.message;
+        console.log(`[GROK] Image generation error: ${e.message}`);
+      }
+    } finally {
+      detachAbort();
     }
 
     return result;
   }
 
-  async _waitForImageGeneration(timeout = 120) {
+  async _waitForImageGeneration(timeout = 120, signal = null) {
     const startTime = Date.now();
     let lastLog = 0;
     let imageUrl = null;
@@ -1279,7 +1328,7 @@ class GrokConverter {
 
     try {
       while ((Date.now() - startTime) / 1000 < timeout) {
-        if (!this._running) return null;
+        if (!this._running || isAborted(signal)) return null;
         const elapsed = Math.floor((Date.now() - startTime) / 1000);
 
         if (elapsed - lastLog >= 10) {
@@ -1611,4 +1660,59 @@ class GrokConverter {
   }
 }
 
-module.exports = { GrokConverter };
+// ============================================
+// Registry entry (see registry.js)
+// ============================================
+
+const provider = {
+  id: 'grok',
+  name: 'Grok AI',
+  types: ['image-to-video', 'text-to-video', 'text-to-image'],
+  method: 'playwright',
+  timeout: 180,
+  concurrency: 4,
+  cookies: [
+    { key: 'sso', label: 'sso', placeholder: 'Enter sso cookie value' },
+    { key: 'sso-rw', label: 'sso-rw', placeholder: 'Enter sso-rw cookie value' }
+  ],
+  // x.ai session cookies are kept as sso_xai / sso-rw_xai (see start())
+  cookieImport: [
+    { domain: 'grok.com', names: ['sso', 'sso-rw', 'x-userid', 'i18nextLng'] },
+    { domain: 'x.ai', names: ['sso', 'sso-rw'], suffix: '_xai' }
+  ],
+  profiles: true,
+  login: { url: 'https://grok.com/imagine', check: checkLoggedIn },
+  options: {
+    aspectRatio: { type: 'string', values: ['9:16', '16:9', '1:1', '2:3', '3:2'] },
+    duration: { type: 'string', values: ['6s', '10s'], description: 'Video length (SuperGrok)' },
+    resolution: { type: 'string', values: ['480p', '720p'], description: 'Video resolution (SuperGrok)' }
+  },
+  rateLimits: { perMinute: 4, minSpacing: 10, jitter: 5, dailyBudget: 0, budgetScope: 'video', resetHour: 0 },
+  color: '#1da1f2',
+  icon: '\u26A1',
+  create: (cookies, options) => new GrokConverter(cookies, options),
+  run: {
+    'image-to-video': (converter, job, outputPath, { progressCallback, signal }) => converter.convert(
+      job.image, outputPath, job.prompt || 'Animate this image', progressCallback, job.options?.aspectRatio || '9:16',
+      { duration: job.options?.duration, resolution: job.options?.resolution, signal }
+    ),
+    // Grok names its own file inside the output folder
+    'text-to-video': (converter, job, outputPath, { progressCallback, signal }) => converter.textToVideo(
+      job.prompt,
+      path.dirname(outputPath),
+      {
+        namingPattern: path.basename(outputPath, path.extname(outputPath)),
+        aspectRatio: job.options?.aspectRatio || '9:16',
+        duration: job.options?.duration,
+        resolution: job.options?.resolution,
+        signal
+      },
+      progressCallback
+    ),
+    'text-to-image': (converter, job, outputPath, { progressCallback, signal }) => converter.generateImage(
+      job.prompt, outputPath, { aspectRatio: job.options?.aspectRatio || '1:1', progressCallback, signal }
+    )
+  }
+};
+
+module.exports = { GrokConverter, provider };
@@ -1,5 +1,8 @@
 const fs = require('fs');
 const path = require('path');
+const { isAborted, raceAbort, sleep, removePartial } = require('../cancellation');
+const { classifyError, isRetryable } = require('../errors');
+const { bindNetwork } = require('../network');
 
 /**
  * ImageFX Converter - Google ImageFX API-based converter
@@ -13,6 +16,8 @@ class ImageFXConverter {
     this._running = false;
     this._imagefx = null;     // Lazy-loaded ImageFX instance
     this._PromptClass = null; // Prompt class for structured prompts
+    // The client calls fetch() itself: send its requests with settings.network
+    bindNetwork(this, options.network, ['validateSession', 'textToImage']);
   }
 
   isRunning() {
@@ -71,11 +76,13 @@ class ImageFXConverter {
   }
 
   /**
-   * Text-to-Image using ImageFX (Imagen 3.5)
+   * Text-to-Image using ImageFX (Imagen 3.5 unless options.model says otherwise)
    */
   async textToImage(prompt, outputPath, options = {}) {
-    const { aspectRatio = '1:1', progressCallback } = options;
-    const result = { success: false, imageUrl: null, outputPath, error: null, attempts: 0 };
+    const { aspectRatio = '1:1', model = 'IMAGEN_3_5', progressCallback, signal } = options;
+    // Several variations come back from a single request; one file per entry
+    const outputPaths = options.outputPaths || [outputPath];
+    const result = { success: false, imageUrl: null, outputPath, outputPaths: [], error: null, attempts: 0 };
     const update = (stage, percent) => { if (progressCallback) progressCallback(stage, percent); };
 
     // Map aspect ratios to ImageFX format
@@ -87,7 +94,7 @@ class ImageFXConverter {
     const fxRatio = ratioMap[aspectRatio] || 'IMAGE_ASPECT_RATIO_SQUARE';
 
     for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
-      if (!this._running) break;
+      if (!this._running || isAborted(signal)) break;
       result.attempts = attempt;
 
       try {
@@ -101,12 +108,12 @@ class ImageFXConverter {
         const promptObj = new Prompt({
           prompt,
           aspectRatio: fxRatio,
-          numberOfImages: 1,
-          generationModel: 'IMAGEN_3_5'
+          numberOfImages: outputPaths.length,
+          generationModel: model
         });
 
         update('Generating image...', 40);
-        const images = await client.generateImage(promptObj);
+        const images = await raceAbort(client.generateImage(promptObj), signal);
 
         if (!images || images.length === 0) {
           throw new Error('No images returned from ImageFX');
@@ -119,30 +126,89 @@ class ImageFXConverter {
         if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 
         // Image.encodedImage is base64 string
-        const image = images[0];
-        const imageBuffer = Buffer.from(image.encodedImage, 'base64');
-        fs.writeFileSync(outputPath, imageBuffer);
+        let totalBytes = 0;
+        images.slice(0, outputPaths.length).forEach((image, i) => {
+          const imageBuffer = Buffer.from(image.encodedImage, 'base64');
+          fs.writeFileSync(outputPaths[i], imageBuffer);
+          result.outputPaths.push(outputPaths[i]);
+          totalBytes += imageBuffer.length;
+        });
 
-        const sizeMb = imageBuffer.length / (1024 * 1024);
-        console.log(`[IMAGEFX] Generated image (${sizeMb.toFixed(2)} MB)`);
+        const sizeMb = totalBytes / (1024 * 1024);
+        console.log(`[IMAGEFX] Generated ${result.outputPaths.length} image(s) (${sizeMb.toFixed(2)} MB)`);
 
         update('Complete!', 100);
         result.success = true;
         return result;
 
       } catch (e) {
+        if (isAborted(signal)) {
+          result.error = 'Cancelled';
+          result.cancelled = true;
+          outputPaths.forEach(removePartial);
+          console.log('[IMAGEFX] Cancelled');
+          return result;
+        }
         result.error = e.message;
         console.log(`[IMAGEFX] Error: ${e.message}`);
-        if (e.message.includes('Authentication') || e.message.includes('401') || e.message.includes('403')) break;
+        result.errorCategory = classifyError(e.message);
+        if (!isRetryable(result.errorCategory)) break;
         if (attempt < this.retryAttempts) {
-          await new Promise(r => setTimeout(r, 3000));
+          await sleep(3000, signal).catch(() => {});
         }
       }
     }
 
+    if (isAborted(signal)) {
+      result.error = 'Cancelled';
+      result.cancelled = true;
+      return result;
+    }
     update(`Failed after ${result.attempts} attempts`, -1);
     return result;
   }
 }
 
-module.exports = { ImageFXConverter };
+// ============================================
+// Registry entry (see registry.js)
+// ============================================
+
+const provider = {
+  id: 'imagefx',
+  name: 'Google ImageFX',
+  shortName: 'ImageFX',
+  types: ['text-to-image'],
+  method: 'api',
+  timeout: 60,
+  concurrency: 10,
+  nativeMulti: ['text-to-image'],
+  cookies: [
+    { key: 'cookies', label: 'Cookie String', placeholder: 'Paste full cookie string from labs.google' }
+  ],
+  cookieImport: [{ domain: 'labs.google', header: 'cookies' }, { domain: 'google.com', header: 'cookies' }],
+  // labs.google sets its session cookie once the Google sign-in completes
+  login: { url: 'https://labs.google/fx/tools/image-fx', cookies: ['__Secure-next-auth.session-token'] },
+  cookieHint: 'Get cookies from labs.google/fx → DevTools → Application → Cookies → copy all as string',
+  options: {
+    aspectRatio: { type: 'string', values: ['9:16', '16:9', '1:1'] },
+    model: { type: 'string', values: ['IMAGEN_3_5', 'IMAGEN_3', 'IMAGEN_4'] }
+  },
+  rateLimits: { perMinute: 10, minSpacing: 2, jitter: 2, dailyBudget: 0, budgetScope: 'all', resetHour: 0 },
+  startEachJob: true,
+  color: '#4285f4',
+  icon: '\u2728',
+  create: (cookies, options) => new ImageFXConverter(cookies, options),
+  run: {
+    'text-to-image': (converter, job, outputPath, { progressCallback, outputPaths, signal }) => converter.textToImage(
+      job.prompt, outputPath, {
+        aspectRatio: job.options?.aspectRatio || '1:1',
+        model: job.options?.model || 'IMAGEN_3_5',
+        outputPaths,
+        progressCallback,
+        signal
+      }
+    )
+  }
+};
+
+module.exports = { ImageFXConverter, provider };
@@ -1,11 +1,44 @@
-const { chromium } = require('playwright-core');
 const fs = require('fs');
 const path = require('path');
+const { openBrowser, applyCookies } = require('../browser');
+const { isAborted, throwIfAborted, onAbort, sleep, removePartial } = require('../cancellation');
+
+// Null when the page shows a signed-in session, otherwise the reason it doesn't.
+// start() runs it once; the browser login polls it while the user signs in.
+async function checkLoggedIn(page) {
+  const currentUrl = page.url();
+  if (currentUrl.toLowerCase().includes('login') ||
+      currentUrl.toLowerCase().includes('auth') ||
+      currentUrl.toLowerCase().includes('facebook.com') ||
+      currentUrl.toLowerCase().includes('checkpoint')) {
+    return `Not logged in. Redirected to: ${currentUrl}`;
+  }
+
+  // Check for guest state
+  try {
+    const guestIndicators = [
+      'text="Log in"', 'text="Sign up"', 'text="Continue with Facebook"',
+      '[aria-label="Log in"]', '[aria-label="Sign up"]'
+    ];
+    for (const selector of guestIndicators) {
+      const element = page.locator(selector).first();
+      if (await element.count() > 0 && await element.isVisible()) {
+        return 'Not logged in. Please provide valid cookies.';
+      }
+    }
+  } catch (e) {
+    // Page navigated mid-check
+  }
+  return null;
+}
 
 class MetaConverter {
   constructor(cookies, options = {}) {
     this.cookies = cookies;
     this.headless = options.headless !== false;
+    this.profileDir = options.profileDir || null; // persistent Chrome profile (see profiles.js)
+    this.network = options.network || {};         // proxy, user agent, locale (see network.js)
+    this.browserSettings = options.browser || {}; // which browser to launch (see browser.js)
     this.retryAttempts = options.retryAttempts || 3;
     this.delayBetween = options.delayBetween || 10;
 
@@ -120,23 +153,15 @@ class MetaConverter {
   async _doStart(targetUrl) {
     console.log('[META] Starting browser...');
 
-    try {
-      this.browser = await chromium.launch({
-        headless: this.headless,
-        channel: 'chrome',
-        args: ['--disable-blink-features=AutomationControlled']
-      });
-    } catch (e) {
-      if (e.message.includes('Executable doesn\'t exist') || e.message.includes('executable')) {
-        throw new Error('Google Chrome is not installed. Please install Chrome from https://google.com/chrome');
+    ({ browser: this.browser, context: this.context } = await openBrowser({
+      headless: this.headless,
+      profileDir: this.profileDir,
+      network: this.network,
+      browserSettings: this.browserSettings,
+      contextOptions: {
+        viewport: { width: 1920, height: 1080 }
       }
-      throw e;
-    }
-
-    this.context = await this.browser.newContext({
-      viewport: { width: 1920, height: 1080 },
-      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-    });
+    }));
 
     const cookieList = [];
     for (const [name, value] of Object.entries(this.cookies)) {
@@ -144,7 +169,7 @@ class MetaConverter {
         cookieList.push({ name, value, domain: '.meta.ai', path: '/' });
       }
     }
-    await this.context.addCookies(cookieList);
+    await applyCookies(this.context, cookieList, this.profileDir);
 
     // Create a temp page to verify login
     this.page = await this.context.newPage();
@@ -153,32 +178,11 @@ class MetaConverter {
     await this.page.goto(targetUrl, { waitUntil: 'domcontentloaded', timeout: 60000 });
     await this.page.waitForTimeout(2000);
 
-    const currentUrl = this.page.url();
-    console.log('[META] Current URL:', currentUrl);
-
-    if (currentUrl.toLowerCase().includes('login') ||
-        currentUrl.toLowerCase().includes('auth') ||
-        currentUrl.toLowerCase().includes('facebook.com') ||
-        currentUrl.toLowerCase().includes('checkpoint')) {
-      throw new Error(`Not logged in. Redirected to: ${currentUrl}`);
-    }
+    console.log('[META] Current URL:', this.page.url());
 
-    // Check for guest state
-    try {
-      const guestIndicators = [
-        'text="Log in"', 'text="Sign up"', 'text="Continue with Facebook"',
-        '[aria-label="Log in"]', '[aria-label="Sign up"]'
-      ];
-      for (const selector of guestIndicators) {
-        const element = this.page.locator(selector).first();
-        if (await element.count() > 0 && await element.isVisible()) {
-          throw new Error('Not logged in. Please provide valid cookies.');
-        }
-      }
-      console.log('[META] Logged in state verified');
-    } catch (e) {
-      if (e.message.includes('Not logged in')) throw e;
-    }
+    const notLoggedIn = await checkLoggedIn(this.page);
+    if (notLoggedIn) throw new Error(notLoggedIn);
+    console.log('[META] Logged in state verified');
 
     // Close the login-check page — convert() will create its own tabs
     await this.page.close();
@@ -966,8 +970,10 @@ class MetaConverter {
 
   /**
    * Image-to-Video conversion — parallel-safe (each call gets its own tab)
+   * options.signal aborts the job: its tab is closed and partial output removed.
    */
-  async convert(imagePath, outputPath, prompt, progressCallback, aspectRatio = '9:16') {
+  async convert(imagePath, outputPath, prompt, progressCallback, aspectRatio = '9:16', options = {}) {
+    const { signal } = options;
     const result = {
       success: false, videoUrl: null, outputPath, error: null, attempts: 0
     };
@@ -979,6 +985,7 @@ class MetaConverter {
 
     result.attempts = 1;
     let page = null;
+    let detachAbort = () => {};
 
     try {
       // Ensure browser + context are ready (lock-safe for parallel calls)
@@ -986,10 +993,13 @@ class MetaConverter {
         update('Starting browser...', 5);
         await this.start('https://www.meta.ai/media');
       }
+      throwIfAborted(signal);
 
       // Create a NEW tab for this job
       update('Opening media page...', 10);
       page = await this.context.newPage();
+      // Cancelling closes only this tab, which fails any pending step on it
+      detachAbort = onAbort(signal, () => { page.close().catch(() => {}); });
       console.log(`${tag} New tab opened, navigating to /media...`);
       await page.goto('https://www.meta.ai/media', { waitUntil: 'domcontentloaded', timeout: 30000 });
       await page.waitForTimeout(3000);
@@ -1127,6 +1137,7 @@ class MetaConverter {
       const startTime = Date.now();
 
       while (Date.now() - startTime < maxWaitMs) {
+        throwIfAborted(signal);
         try {
           const firstArticle = page.locator('[data-slot="flexbox"] > article').first();
           const vid = firstArticle.locator('[data-testid="generated-video"][data-video-url]').first();
@@ -1155,6 +1166,7 @@ class MetaConverter {
 
       let downloadOk = false;
       for (let attempt = 1; attempt <= 3; attempt++) {
+        throwIfAborted(signal);
         try {
           const response = await page.request.get(videoUrl);
           if (response.ok()) {
@@ -1168,7 +1180,7 @@ class MetaConverter {
           }
         } catch (e) {
           console.log(`${tag} Download attempt ${attempt} failed: ${e.message}`);
-          if (attempt < 3) await new Promise(r => setTimeout(r, 2000));
+          if (attempt < 3) await sleep(2000, signal);
         }
       }
 
@@ -1184,11 +1196,19 @@ class MetaConverter {
       }
 
     } catch (e) {
+      if (isAborted(signal)) {
+        result.error = 'Cancelled';
+        result.cancelled = true;
+        removePartial(outputPath);
+        console.log(`${tag} Cancelled`);
+        return result;
+      }
       result.error = e.message;
       console.log(`${tag} Error: ${e.message}`);
       update(`Error: ${e.message}`, -1);
       return result;
     } finally {
+      detachAbort();
       // Always close the tab when done (success or failure)
       if (page) {
         try { await page.close(); } catch (e) {}
@@ -1333,7 +1353,7 @@ class MetaConverter {
    * Text-to-Image generation — parallel-safe (each call gets its own tab)
    */
   async textToImage(prompt, outputPath, options = {}) {
-    const { aspectRatio = '16:9', progressCallback } = options;
+    const { aspectRatio = '16:9', progressCallback, signal } = options;
     const tag = `[META][TXT2IMG][${prompt.substring(0, 20)}]`;
 
     const result = {
@@ -1346,6 +1366,7 @@ class MetaConverter {
 
     result.attempts = 1;
     let page = null;
+    let detachAbort = () => {};
 
     try {
       // Ensure browser + context are ready
@@ -1353,10 +1374,12 @@ class MetaConverter {
         update('Starting browser...', 5);
         await this.start('https://www.meta.ai/media');
       }
+      throwIfAborted(signal);
 
       // Create a NEW tab for this job
       update('Opening media page...', 10);
       page = await this.context.newPage();
+      detachAbort = onAbort(signal, () => { page.close().catch(() => {}); });
       console.log(`${tag} New tab, navigating to /media...`);
       await page.goto('https://www.meta.ai/media', { waitUntil: 'domcontentloaded', timeout: 30000 });
       await page.waitForTimeout(3000);
@@ -1482,6 +1505,7 @@ class MetaConverter {
       const startTime = Date.now();
 
       while (Date.now() - startTime < maxWaitMs) {
+        throwIfAborted(signal);
         try {
           // Look for generated image in first article
           const firstArticle = page.locator('[data-slot="flexbox"] > article').first();
@@ -1543,11 +1567,19 @@ class MetaConverter {
       throw new Error('Failed to download image');
 
     } catch (e) {
+      if (isAborted(signal)) {
+        result.error = 'Cancelled';
+        result.cancelled = true;
+        removePartial(outputPath);
+        console.log(`${tag} Cancelled`);
+        return result;
+      }
       result.error = e.message;
       console.log(`${tag} Error: ${e.message}`);
       update(`Error: ${e.message}`, -1);
       return result;
     } finally {
+      detachAbort();
       if (page) {
         try { await page.close(); } catch (e) {}
       }
@@ -1563,7 +1595,7 @@ class MetaConverter {
    * Each phase opens its own tab (parallel-safe).
    */
   async textToVideo(prompt, outputPath, options = {}) {
-    const { aspectRatio = '9:16', animationPrompt = '', progressCallback } = options;
+    const { aspectRatio = '9:16', animationPrompt = '', progressCallback, signal } = options;
     const videoPrompt = animationPrompt || prompt;
     const tag = `[META][TXT2VID][${prompt.substring(0, 20)}]`;
 
@@ -1589,6 +1621,7 @@ class MetaConverter {
       // Phase 1: text → image
       const imgResult = await this.textToImage(prompt, tempImagePath, {
         aspectRatio,
+        signal,
         progressCallback: (stage, percent) => {
           // Scale phase 1 progress to 0-45%
           if (percent >= 0) {
@@ -1599,6 +1632,7 @@ class MetaConverter {
         }
       });
 
+      throwIfAborted(signal);
       if (!imgResult.success) {
         throw new Error(`Phase 1 failed: ${imgResult.error || 'Image generation failed'}`);
       }
@@ -1618,9 +1652,12 @@ class MetaConverter {
           } else {
             update(stage, percent);
           }
-        }
+        },
+        undefined, // convert()'s default aspect ratio
+        { signal }
       );
 
+      throwIfAborted(signal);
       if (!vidResult.success) {
         throw new Error(`Phase 2 failed: ${vidResult.error || 'Video generation failed'}`);
       }
@@ -1634,12 +1671,18 @@ class MetaConverter {
       return result;
 
     } catch (e) {
+      if (isAborted(signal)) {
+        result.error = 'Cancelled';
+        result.cancelled = true;
+        removePartial(outputPath);
+        return result;
+      }
       result.error = e.message;
       console.log(`${tag} Error: ${e.message}`);
       update(`Error: ${e.message}`, -1);
       return result;
     } finally {
-      // Clean up temp image
+      // Clean up temp image (also on cancel)
       try {
         if (fs.existsSync(tempImagePath)) {
           fs.unlinkSync(tempImagePath);
@@ -1652,4 +1695,51 @@ class MetaConverter {
   }
 }
 
-module.exports = { MetaConverter };
+// ============================================
+// Registry entry (see registry.js)
+// ============================================
+
+const provider = {
+  id: 'meta',
+  name: 'Meta AI',
+  types: ['image-to-video', 'text-to-video', 'text-to-image'],
+  method: 'playwright',
+  timeout: 300,
+  concurrency: 4,
+  cookies: [
+    { key: 'datr', label: 'datr', placeholder: 'Enter datr cookie value' },
+    { key: 'abra_sess', label: 'abra_sess', placeholder: 'Enter abra_sess cookie value' }
+  ],
+  cookieImport: [{ domain: 'meta.ai' }],
+  profiles: true,
+  login: { url: 'https://www.meta.ai', check: checkLoggedIn },
+  options: {
+    aspectRatio: { type: 'string', values: ['9:16', '16:9', '1:1'] },
+    animationPrompt: { type: 'string', description: 'Motion for text-to-video (image is generated from the prompt first)' }
+  },
+  rateLimits: { perMinute: 4, minSpacing: 10, jitter: 5, dailyBudget: 0, budgetScope: 'all', resetHour: 0 },
+  // Go straight to the media page (skips a double navigation)
+  startUrl: 'https://www.meta.ai/media',
+  color: '#0084ff',
+  icon: '\u{1F310}',
+  create: (cookies, options) => new MetaConverter(cookies, options),
+  run: {
+    'image-to-video': (converter, job, outputPath, { progressCallback, signal }) => converter.convert(
+      job.image, outputPath, job.prompt || 'Animate this image', progressCallback, job.options?.aspectRatio || '9:16',
+      { duration: job.options?.duration, resolution: job.options?.resolution, signal }
+    ),
+    'text-to-video': (converter, job, outputPath, { progressCallback, signal }) => converter.textToVideo(
+      job.prompt, outputPath, {
+        aspectRatio: job.options?.aspectRatio || '9:16',
+        animationPrompt: job.options?.animationPrompt || '',
+        progressCallback,
+        signal
+      }
+    ),
+    'text-to-image': (converter, job, outputPath, { progressCallback, signal }) => converter.textToImage(
+      job.prompt, outputPath, { aspectRatio: job.options?.aspectRatio || '16:9', progressCallback, signal }
+    )
+  }
+};
+
+module.exports = { MetaConverter, provider };
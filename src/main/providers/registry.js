@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Provider registry. Every provider module exports a `provider` entry that
+ * declares what it can do and how to drive it; the orchestrator, config
+ * defaults, stats and settings UI are all built from these entries.
+ *
+ *   id, name          - key used in jobs and config, and display name
+ *   shortName         - label for tabs and buttons (defaults to name)
+ *   types             - supported job types
+ *   method            - 'playwright' | 'api'; 'playwright' jobs each take one of the
+ *                       tabs shared by all browser providers (settings.browserPool)
+ *   timeout           - watchdog seconds per output; typeTimeouts overrides per type
+ *   concurrency       - parallel jobs (tabs or API calls)
+ *   nativeMulti       - types that return several images from one request
+ *   cookies           - [{ key, label, placeholder }] fields shown in Settings
+ *   cookieHint        - optional help line under those fields
+ *   cookieImport      - [{ domain, names?, suffix?, header? }] where to find the cookies
+ *                       in an imported cookies.txt / JSON export: cookies of `domain`
+ *                       and its subdomains named in `names` (default: the cookie field
+ *                       keys) are saved under their name plus `suffix`; with `header`,
+ *                       all of them are joined into a Cookie header string in that key
+ *   login             - optional { url, check?(page), cookies? } for "Log in with browser":
+ *                       the page to open, a check that resolves to null once the page
+ *                       shows a signed-in session, and the cookie names that must be
+ *                       set (default: the cookie field keys)
+ *   profiles          - supports persistent browser profiles: create() gets
+ *                       options.profileDir when settings.browserProfiles[id] is on
+ *   options           - per-job options schema: { key: { type, values?, description } }
+ *   rateLimits        - default settings.rateLimits entry
+ *   startUrl          - page to open when the browser starts
+ *   startEachJob      - call start() before every job (API clients)
+ *   color, icon       - accents for the UI
+ *   create(cookies, options)                     - new converter instance
+ *   run[type](converter, jobDef, outputPath, ctx) - one generation; ctx is
+ *                                                   { progressCallback, outputPaths, signal }
+ */
+
+const REQUIRED_FIELDS = ['id', 'name', 'types', 'create', 'run'];
+
+const DEFAULTS = {
+  method: 'playwright',
+  timeout: 180,
+  typeTimeouts: {},
+  concurrency: 4,
+  nativeMulti: [],
+  cookies: [],
+  cookieHint: '',
+  cookieImport: [],
+  login: null,
+  profiles: false,
+  options: {},
+  rateLimits: { perMinute: 0, minSpacing: 0, jitter: 0, dailyBudget: 0, budgetScope: 'all', resetHour: 0 },
+  startUrl: undefined,
+  startEachJob: false,
+  color: '#8b5cf6',
+  icon: '⚙'
+};
+
+const providers = new Map();
+
+function registerProvider(def) {
+  for (const field of REQUIRED_FIELDS) {
+    if (!def || !def[field]) throw new Error(`Provider "${def?.id || '?'}" is missing "${field}"`);
+  }
+  if (!/^[a-z][a-z0-9-]*$/.test(def.id)) {
+    throw new Error(`Provider id "${def.id}" must be lowercase letters, digits and dashes`);
+  }
+  if (providers.has(def.id)) {
+    throw new Error(`Provider "${def.id}" is already registered`);
+  }
+  for (const type of def.types) {
+    if (typeof def.run[type] !== 'function') {
+      throw new Error(`Provider "${def.id}" declares ${type} but has no run["${type}"]`);
+    }
+  }
+
+  providers.set(def.id, {
+    ...DEFAULTS,
+    shortName: def.name,
+    ...def,
+    rateLimits: { ...DEFAULTS.rateLimits, ...def.rateLimits }
+  });
+  return providers.get(def.id);
+}
+
+function getProvider(id) {
+  return providers.get(id) || null;
+}
+
+function providerIds() {
+  return [...providers.keys()];
+}
+
+function listProviders() {
+  return [...providers.values()];
+}
+
+// Everything but the entry points, for IPC and the renderer
+function describeProviders() {
+  const out = {};
+  for (const p of providers.values()) {
+    out[p.id] = {
+      name: p.name,
+      shortName: p.shortName,
+      types: p.types,
+      method: p.method,
+      timeout: p.timeout,
+      typeTimeouts: p.typeTimeouts,
+      cookies: p.cookies,
+      cookieHint: p.cookieHint,
+      cookieDomains: p.cookieImport.map(rule => rule.domain),
+      browserLogin: !!p.login,
+      profiles: p.profiles,
+      options: p.options,
+      color: p.color,
+      icon: p.icon
+    };
+  }
+  return out;
+}
+
+/**
+ * Register in-house providers: every .js file (or folder with an index.js) in
+ * `dir` whose exports include `provider`. A module that fails to load is
+ * skipped and logged. Returns the ids that were added.
+ */
+function loadProviderModules(dir) {
+  const added = [];
+  if (!dir || !fs.existsSync(dir)) return added;
+
+  for (const entry of fs.readdirSync(dir)) {
+    const modulePath = path.join(dir, entry);
+    if (!entry.endsWith('.js') && !fs.existsSync(path.join(modulePath, 'index.js'))) continue;
+    try {
+      const { provider } = require(modulePath);
+      registerProvider(provider);
+      added.push(provider.id);
+      console.log(`[PROVIDERS] Loaded ${provider.id} from ${entry}`);
+    } catch (e) {
+      console.log(`[PROVIDERS] Skipped ${entry}: ${e.message}`);
+    }
+  }
+  return added;
+}
+
+// Built-in providers, in display order
+for (const modulePath of ['./meta-converter', './grok-converter', './whisk-converter', './imagefx-converter']) {
+  registerProvider(require(modulePath).provider);
+}
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  providerIds,
+  listProviders,
+  describeProviders,
+  loadProviderModules
+};
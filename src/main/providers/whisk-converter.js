@@ -1,5 +1,8 @@
 const fs = require('fs');
 const path = require('path');
+const { isAborted, raceAbort, sleep, removePartial } = require('../cancellation');
+const { classifyError, isRetryable } = require('../errors');
+const { bindNetwork } = require('../network');
 const { nativeImage } = require('electron');
 
 // Max base64 size ~4MB to stay within tRPC JSON limits
@@ -18,6 +21,8 @@ class WhiskConverter {
     this._whisk = null;               // Lazy-loaded Whisk instance
     this._WhiskClass = null;          // The Whisk class reference (for static methods)
     this._MediaClass = null;          // The Media class reference (for direct construction)
+    // The client calls fetch() itself: send its requests with settings.network
+    bindNetwork(this, options.network, ['validateSession', 'convert', 'textToImage']);
   }
 
   isRunning() {
@@ -95,12 +100,13 @@ class WhiskConverter {
    * Image-to-Video using Whisk Animate (Veo 3.1)
    * Note: Only landscape images can be animated
    */
-  async convert(imagePath, outputPath, prompt, progressCallback) {
+  async convert(imagePath, outputPath, prompt, progressCallback, aspectRatio, options = {}) {
+    const { signal } = options;
     const result = { success: false, videoUrl: null, outputPath, error: null, attempts: 0 };
     const update = (stage, percent) => { if (progressCallback) progressCallback(stage, percent); };
 
     for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
-      if (!this._running) break;
+      if (!this._running || isAborted(signal)) break;
       result.attempts = attempt;
 
       try {
@@ -118,7 +124,7 @@ class WhiskConverter {
         const MediaClass = this._MediaClass;
 
         // Create a project for this animation job
-        const project = await client.newProject();
+        const project = await raceAbort(client.newProject(), signal);
 
         // Construct Media object directly from the local image
         // animate() only needs: encodedMedia, prompt, workflowId, aspectRatio, account
@@ -138,7 +144,9 @@ class WhiskConverter {
         console.log('[WHISK] Starting video generation...');
 
         // Animate the image — returns a new Media object with video
-        const videoMedia = await media.animate(prompt || 'Animate this image with subtle motion', 'VEO_3_1_I2V_12STEP');
+        const videoMedia = await raceAbort(
+          media.animate(prompt || 'Animate this image with subtle motion', 'VEO_3_1_I2V_12STEP'), signal
+        );
 
         update('Downloading video...', 85);
 
@@ -165,24 +173,35 @@ class WhiskConverter {
         return result;
 
       } catch (e) {
+        if (isAborted(signal)) {
+          result.error = 'Cancelled';
+          result.cancelled = true;
+          removePartial(outputPath);
+          console.log('[WHISK] Cancelled');
+          return result;
+        }
         result.error = e.message;
         console.log(`[WHISK] Error: ${e.message}`);
-        // Don't retry auth failures or server-side generation failures (wastes Flow tokens)
-        if (e.message.includes('Authentication') || e.message.includes('401') || e.message.includes('403')) break;
         if (e.message.includes('HIGH_TRAFFIC')) {
           result.error = 'Whisk servers are experiencing high traffic. Please try again later. (Flow token was consumed)';
-          break;
-        }
-        if (e.message.includes('GENERATION_STATUS_FAILED')) {
+        } else if (e.message.includes('GENERATION_STATUS_FAILED')) {
           result.error = 'Video generation failed on Whisk servers. (Flow token was consumed)';
-          break;
         }
+        result.errorCategory = classifyError(result.error);
+        // Don't retry what can't succeed, and leave high traffic to the orchestrator's
+        // longer backoff (every attempt here wastes a Flow token)
+        if (!isRetryable(result.errorCategory) || result.errorCategory === 'quota') break;
         if (attempt < this.retryAttempts) {
-          await new Promise(r => setTimeout(r, 3000));
+          await sleep(3000, signal).catch(() => {});
         }
       }
     }
 
+    if (isAborted(signal)) {
+      result.error = 'Cancelled';
+      result.cancelled = true;
+      return result;
+    }
     update(`Failed after ${result.attempts} attempts`, -1);
     return result;
   }
@@ -191,8 +210,10 @@ class WhiskConverter {
    * Text-to-Image using Whisk (Imagen 3.5)
    */
   async textToImage(prompt, outputPath, options = {}) {
-    const { aspectRatio = '1:1', progressCallback } = options;
-    const result = { success: false, imageUrl: null, outputPath, error: null, attempts: 0 };
+    const { aspectRatio = '1:1', progressCallback, signal } = options;
+    // Several variations come back from a single request; one file per entry
+    const outputPaths = options.outputPaths || [outputPath];
+    const result = { success: false, imageUrl: null, outputPath, outputPaths: [], error: null, attempts: 0 };
     const update = (stage, percent) => { if (progressCallback) progressCallback(stage, percent); };
 
     // Map aspect ratios to Whisk format
@@ -204,7 +225,7 @@ class WhiskConverter {
     const whiskRatio = ratioMap[aspectRatio] || 'IMAGE_ASPECT_RATIO_LANDSCAPE';
 
     for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
-      if (!this._running) break;
+      if (!this._running || isAborted(signal)) break;
       result.attempts = attempt;
 
       try {
@@ -214,10 +235,10 @@ class WhiskConverter {
         const client = await this._getClient();
 
         update('Generating image...', 40);
-        const images = await client.generateImage({
+        const images = await raceAbort(client.generateImage({
           prompt,
           aspectRatio: whiskRatio
-        }, 1);
+        }, outputPaths.length), signal);
 
         if (!images || images.length === 0) {
           throw new Error('No images returned from Whisk');
@@ -230,34 +251,90 @@ class WhiskConverter {
         if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 
         // Extract base64 image data and write to file
-        const media = images[0];
-        const imageBase64 = media.encodedMedia;
-        if (!imageBase64) {
+        let totalBytes = 0;
+        images.slice(0, outputPaths.length).forEach((media, i) => {
+          if (!media.encodedMedia) return;
+          const imageBuffer = Buffer.from(media.encodedMedia, 'base64');
+          fs.writeFileSync(outputPaths[i], imageBuffer);
+          result.outputPaths.push(outputPaths[i]);
+          totalBytes += imageBuffer.length;
+        });
+        if (result.outputPaths.length === 0) {
           throw new Error('No image data returned from Whisk');
         }
-        const imageBuffer = Buffer.from(imageBase64, 'base64');
-        fs.writeFileSync(outputPath, imageBuffer);
 
-        const sizeMb = imageBuffer.length / (1024 * 1024);
-        console.log(`[WHISK] Generated image (${sizeMb.toFixed(2)} MB)`);
+        const sizeMb = totalBytes / (1024 * 1024);
+        console.log(`[WHISK] Generated ${result.outputPaths.length} image(s) (${sizeMb.toFixed(2)} MB)`);
 
         update('Complete!', 100);
         result.success = true;
         return result;
 
       } catch (e) {
+        if (isAborted(signal)) {
+          result.error = 'Cancelled';
+          result.cancelled = true;
+          outputPaths.forEach(removePartial);
+          console.log('[WHISK] Cancelled');
+          return result;
+        }
         result.error = e.message;
         console.log(`[WHISK] Error: ${e.message}`);
-        if (e.message.includes('Authentication') || e.message.includes('401') || e.message.includes('403')) break;
+        result.errorCategory = classifyError(e.message);
+        if (!isRetryable(result.errorCategory)) break;
         if (attempt < this.retryAttempts) {
-          await new Promise(r => setTimeout(r, 3000));
+          await sleep(3000, signal).catch(() => {});
         }
       }
     }
 
+    if (isAborted(signal)) {
+      result.error = 'Cancelled';
+      result.cancelled = true;
+      return result;
+    }
     update(`Failed after ${result.attempts} attempts`, -1);
     return result;
   }
 }
 
-module.exports = { WhiskConverter };
+// ============================================
+// Registry entry (see registry.js)
+// ============================================
+
+const provider = {
+  id: 'whisk',
+  name: 'Google Whisk',
+  shortName: 'Whisk',
+  types: ['image-to-video', 'text-to-image'],
+  method: 'api',
+  timeout: 60,
+  typeTimeouts: { 'image-to-video': 300 }, // Veo renders take minutes
+  concurrency: 10,
+  nativeMulti: ['text-to-image'],
+  cookies: [
+    { key: 'cookies', label: 'Cookie String', placeholder: 'Paste full cookie string from browser' }
+  ],
+  cookieImport: [{ domain: 'labs.google', header: 'cookies' }, { domain: 'google.com', header: 'cookies' }],
+  // labs.google sets its session cookie once the Google sign-in completes
+  login: { url: 'https://labs.google/fx/tools/whisk', cookies: ['__Secure-next-auth.session-token'] },
+  options: {
+    aspectRatio: { type: 'string', values: ['9:16', '16:9', '1:1'] }
+  },
+  rateLimits: { perMinute: 10, minSpacing: 2, jitter: 2, dailyBudget: 0, budgetScope: 'video', resetHour: 0 },
+  startEachJob: true,
+  color: '#ea4335',
+  icon: '\u{1F3A8}',
+  create: (cookies, options) => new WhiskConverter(cookies, options),
+  run: {
+    'image-to-video': (converter, job, outputPath, { progressCallback, signal }) => converter.convert(
+      job.image, outputPath, job.prompt || 'Animate this image', progressCallback, job.options?.aspectRatio || '9:16',
+      { duration: job.options?.duration, resolution: job.options?.resolution, signal }
+    ),
+    'text-to-image': (converter, job, outputPath, { progressCallback, outputPaths, signal }) => converter.textToImage(
+      job.prompt, outputPath, { aspectRatio: job.options?.aspectRatio || '1:1', outputPaths, progressCallback, signal }
+    )
+  }
+};
+
+module.exports = { WhiskConverter, provider };
@@ -0,0 +1,179 @@
+const { sleep } = require('./cancellation');
+
+// Longest single wait before re-checking limits, cancellation and settings changes
+const POLL_MS = 5000;
+
+/**
+ * Central pacing for provider requests: requests per minute, minimum spacing
+ * with random jitter, and a daily generation budget. Limits come from
+ * settings.rateLimits[provider]; budget usage is stored in the database so a
+ * restart doesn't hand out a fresh budget.
+ */
+class RateLimiter {
+  constructor(config, database) {
+    this.config = config;
+    this.db = database;
+    this._recent = {}; // provider -> start times (ms) within the last minute
+    this._nextAt = {}; // provider -> earliest next start (ms), spacing + jitter
+    this._waiting = {}; // provider -> FIFO of waiting requests; only the head may start
+  }
+
+  _limits(provider) {
+    const limits = this.config.getSettings().rateLimits?.[provider] || {};
+    return {
+      perMinute: Number(limits.perMinute) || 0,
+      minSpacing: Number(limits.minSpacing) || 0,
+      jitter: Number(limits.jitter) || 0,
+      dailyBudget: Number(limits.dailyBudget) || 0,
+      budgetScope: limits.budgetScope === 'video' ? 'video' : 'all',
+      resetHour: Number(limits.resetHour) || 0
+    };
+  }
+
+  // Whether a job of this type spends the provider's daily budget
+  _countsToward(limits, type) {
+    return limits.dailyBudget > 0 && (limits.budgetScope === 'all' || type.endsWith('-video'));
+  }
+
+  // Start of the current budget day: the latest resetHour (local time) at or before now
+  _windowStart(resetHour, now = new Date()) {
+    const start = new Date(now);
+    start.setHours(resetHour, 0, 0, 0);
+    if (start > now) start.setDate(start.getDate() - 1);
+    return start;
+  }
+
+  _used(provider, limits, now = new Date()) {
+    const usage = this.db.getUsage(provider);
+    const windowStart = this._windowStart(limits.resetHour, now).toISOString();
+    return usage && usage.windowStart === windowStart ? usage.used : 0;
+  }
+
+  /**
+   * Why a request can't start yet, or null when it can.
+   * @returns {{ reason: 'quota'|'rate'|'spacing', until: Date }|null}
+   */
+  check(provider, type, cost = 1) {
+    return this._quotaBlock(provider, type, cost) || this._rateBlock(provider);
+  }
+
+  _quotaBlock(provider, type, cost) {
+    const limits = this._limits(provider);
+    const now = new Date();
+    if (!this._countsToward(limits, type) || this._used(provider, limits, now) + cost <= limits.dailyBudget) {
+      return null;
+    }
+    const resetAt = this._windowStart(limits.resetHour, now);
+    resetAt.setDate(resetAt.getDate() + 1);
+    return { reason: 'quota', until: resetAt };
+  }
+
+  _rateBlock(provider) {
+    const limits = this._limits(provider);
+    const now = Date.now();
+
+    const recent = (this._recent[provider] || []).filter(t => t > now - 60000);
+    this._recent[provider] = recent;
+    if (limits.perMinute > 0 && recent.length >= limits.perMinute) {
+      return { reason: 'rate', until: new Date(recent[0] + 60000) };
+    }
+    if (this._nextAt[provider] > now) {
+      return { reason: 'spacing', until: new Date(this._nextAt[provider]) };
+    }
+    return null;
+  }
+
+  // Mark a request as started
+  record(provider, type, cost = 1) {
+    const limits = this._limits(provider);
+    const now = Date.now();
+
+    (this._recent[provider] = this._recent[provider] || []).push(now);
+    this._nextAt[provider] = now + (limits.minSpacing + Math.random() * limits.jitter) * 1000;
+
+    if (this._countsToward(limits, type)) {
+      this.db.setUsage(provider, {
+        windowStart: this._windowStart(limits.resetHour).toISOString(),
+        used: this._used(provider, limits) + cost
+      });
+    }
+  }
+
+  /**
+   * Wait until a request may start, then record it. `cost` is the number of
+   * generations the job will produce. Resolves false if isCancelled() turns
+   * true while waiting; onWait(block) is called on every wait.
+   * Throws when the cost is more than a whole day's budget.
+   */
+  async acquire(provider, type, { cost = 1, isCancelled = () => false, onWait } = {}) {
+    const queue = this._waiting[provider] = this._waiting[provider] || [];
+    const ticket = { wake: null, parked: false };
+    queue.push(ticket);
+
+    try {
+      for (;;) {
+        if (isCancelled()) return false;
+
+        const limits = this._limits(provider);
+        if (this._countsToward(limits, type) && cost > limits.dailyBudget) {
+          throw new Error(`Job needs ${cost} generations but the daily ${provider} budget is ${limits.dailyBudget}`);
+        }
+
+        // Out of budget: step out of line so other job types aren't held up
+        const quota = this._quotaBlock(provider, type, cost);
+        const parked = quota !== null;
+        if (parked !== ticket.parked) {
+          ticket.parked = parked;
+          this._wakeHead(queue);
+        }
+
+        // Otherwise requests start in arrival order; only the head checks the rate limit
+        let block = quota;
+        if (!block) {
+          const isHead = queue.find(t => !t.parked) === ticket;
+          block = this._rateBlock(provider);
+          if (!block && isHead) {
+            this.record(provider, type, cost);
+            return true;
+          }
+          if (!isHead) block = block || { reason: 'spacing', until: new Date(Date.now() + POLL_MS) };
+        }
+
+        if (onWait) onWait(block);
+        await new Promise(resolve => {
+          ticket.wake = resolve;
+          sleep(Math.min(Math.max(block.until - Date.now(), 50), POLL_MS)).then(resolve);
+        });
+        ticket.wake = null;
+      }
+    } finally {
+      queue.splice(queue.indexOf(ticket), 1);
+      // Let the next request in line re-check straight away
+      this._wakeHead(queue);
+    }
+  }
+
+  _wakeHead(queue) {
+    const head = queue.find(t => !t.parked);
+    if (head && head.wake) head.wake();
+  }
+
+  // Today's budget use per provider, for the settings screen
+  getUsage() {
+    const usage = {};
+    for (const provider of Object.keys(this.config.getSettings().rateLimits || {})) {
+      const limits = this._limits(provider);
+      const resetsAt = this._windowStart(limits.resetHour);
+      resetsAt.setDate(resetsAt.getDate() + 1);
+      usage[provider] = {
+        used: this._used(provider, limits),
+        budget: limits.dailyBudget,
+        budgetScope: limits.budgetScope,
+        resetsAt: resetsAt.toISOString()
+      };
+    }
+    return usage;
+  }
+}
+
+module.exports = { RateLimiter };
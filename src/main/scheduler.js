@@ -0,0 +1,216 @@
+const REPEAT_OPTIONS = ['none', 'hourly', 'daily', 'weekly'];
+
+// How often due schedules are checked. Polling (instead of one long timer)
+// copes with sleep/wake and clock changes.
+const CHECK_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Runs saved jobs and batches at a set time, optionally repeating.
+ * Schedules live in the database so they survive restarts; every run goes
+ * through Orchestrator.submitBatch and the batch records its scheduleId.
+ */
+class Scheduler {
+  constructor(database, orchestrator, emitProgress) {
+    this.db = database;
+    this.orchestrator = orchestrator;
+    this.emitProgress = emitProgress;
+    this._timer = null;
+    this._running = new Set(); // schedule ids with a batch still in progress
+  }
+
+  start() {
+    if (this._timer) return;
+    // A run missed while the app was closed fires once now
+    this._tick();
+    this._timer = setInterval(() => this._tick(), CHECK_INTERVAL_MS);
+  }
+
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  // ============================================
+  // Schedule Management
+  // ============================================
+
+  /**
+   * @param {Object} def - { name, runAt, repeat, job } or { name, runAt, repeat, batch }
+   */
+  addSchedule(def) {
+    const errors = this._validate(def);
+    if (errors.length > 0) return { success: false, errors };
+
+    const runAt = new Date(def.runAt);
+    const batch = def.job ? null : this._toBatch(def);
+    const schedule = this.db.addSchedule({
+      name: def.name || (def.job ? `${def.job.provider} ${def.job.type}` : `Batch of ${batch.jobs.length}`),
+      job: def.job || null,
+      batch,
+      runAt: runAt.toISOString(),
+      repeat: def.repeat || 'none',
+      nextRunAt: this._nextOccurrence(runAt, def.repeat || 'none').toISOString()
+    });
+
+    console.log(`[SCHED] Added ${schedule.id}, next run ${schedule.nextRunAt}`);
+    return { success: true, schedule };
+  }
+
+  // Only name, enabled, runAt and repeat can change; the saved work cannot
+  updateSchedule(id, updates = {}) {
+    const schedule = this.db.getSchedule(id);
+    if (!schedule) return { success: false, errors: ['Schedule not found'] };
+
+    const next = {
+      name: updates.name !== undefined ? updates.name : schedule.name,
+      enabled: updates.enabled !== undefined ? !!updates.enabled : schedule.enabled,
+      runAt: updates.runAt !== undefined ? updates.runAt : schedule.runAt,
+      repeat: updates.repeat !== undefined ? updates.repeat : schedule.repeat
+    };
+
+    const errors = this._validateTiming(next);
+    if (errors.length > 0) return { success: false, errors };
+
+    const runAt = new Date(next.runAt);
+    let nextRunAt = schedule.nextRunAt;
+    if (runAt.toISOString() !== schedule.runAt || next.repeat !== schedule.repeat || (next.enabled && !schedule.enabled)) {
+      // A one-off whose time has passed would fire straight away; make the user pick a new time
+      if (next.enabled && next.repeat === 'none' && runAt <= new Date()) {
+        return { success: false, errors: ['Run time is in the past'] };
+      }
+      nextRunAt = this._nextOccurrence(runAt, next.repeat).toISOString();
+    }
+
+    return {
+      success: true,
+      schedule: this.db.updateSchedule(id, { ...next, runAt: runAt.toISOString(), nextRunAt })
+    };
+  }
+
+  deleteSchedule(id) {
+    return this.db.deleteSchedule(id);
+  }
+
+  getSchedules() {
+    return this.db.getSchedules();
+  }
+
+  // Start a schedule's work now without touching its timing
+  runNow(id) {
+    const schedule = this.db.getSchedule(id);
+    if (!schedule) return { success: false, errors: ['Schedule not found'] };
+    if (this._running.has(id)) return { success: false, errors: ['Previous run is still in progress'] };
+    this._submit(schedule);
+    return { success: true };
+  }
+
+  _validate(def) {
+    const errors = this._validateTiming(def);
+
+    if (!def.job && !def.batch) {
+      errors.push('Schedule needs a "job" or a "batch"');
+    } else if (def.job && def.batch) {
+      errors.push('Schedule takes either a "job" or a "batch", not both');
+    } else {
+      errors.push(...this.orchestrator.validateBatch(this._toBatch(def)));
+    }
+
+    if (errors.length === 0 && (def.repeat || 'none') === 'none' && new Date(def.runAt) <= new Date()) {
+      errors.push('Run time is in the past');
+    }
+    return errors;
+  }
+
+  _validateTiming(def) {
+    const errors = [];
+    if (!def.runAt || isNaN(new Date(def.runAt).getTime())) {
+      errors.push('"runAt" must be a valid date/time');
+    }
+    if (def.repeat !== undefined && !REPEAT_OPTIONS.includes(def.repeat)) {
+      errors.push(`Unknown repeat "${def.repeat}". Valid: ${REPEAT_OPTIONS.join(', ')}`);
+    }
+    return errors;
+  }
+
+  // ============================================
+  // Running
+  // ============================================
+
+  _tick() {
+    const now = new Date();
+    for (const schedule of this.db.getSchedules()) {
+      if (!schedule.enabled || !schedule.nextRunAt) continue;
+      if (new Date(schedule.nextRunAt) > now) continue;
+      this._fire(schedule, now);
+    }
+  }
+
+  _fire(schedule, now) {
+    // Move on to the next occurrence first so a crash mid-run can't fire it twice
+    const nextRunAt = schedule.repeat === 'none'
+      ? null : this._nextOccurrence(new Date(schedule.nextRunAt), schedule.repeat, now).toISOString();
+    this.db.updateSchedule(schedule.id, { nextRunAt, enabled: nextRunAt ? schedule.enabled : false });
+
+    if (this._running.has(schedule.id)) {
+      console.log(`[SCHED] ${schedule.id} skipped, previous run still in progress`);
+      this.db.updateSchedule(schedule.id, { lastError: 'Skipped: previous run was still in progress' });
+      this.emitProgress({ event: 'schedule:skipped', scheduleId: schedule.id });
+      return;
+    }
+
+    this._submit(schedule);
+  }
+
+  _submit(schedule) {
+    console.log(`[SCHED] Running ${schedule.id} (${schedule.name})`);
+    this._running.add(schedule.id);
+    this.db.updateSchedule(schedule.id, { lastRunAt: new Date().toISOString(), lastError: null });
+    this.emitProgress({ event: 'schedule:fired', scheduleId: schedule.id, name: schedule.name });
+
+    // Saved work is copied so submitBatch's defaults never end up in the schedule
+    const batch = this._toBatch(JSON.parse(JSON.stringify(schedule)));
+    batch.scheduleId = schedule.id;
+
+    this.orchestrator.submitBatch(batch)
+      .then(result => {
+        this.db.updateSchedule(schedule.id, {
+          lastBatchId: result.batchId || null,
+          lastError: result.success ? null : result.errors.join('; ')
+        });
+      })
+      .catch(e => {
+        console.log(`[SCHED] ${schedule.id} failed: ${e.message}`);
+        this.db.updateSchedule(schedule.id, { lastError: e.message });
+      })
+      .finally(() => {
+        this._running.delete(schedule.id);
+        this.emitProgress({ event: 'schedule:done', scheduleId: schedule.id });
+      });
+  }
+
+  // A single scheduled job runs as a batch of one; a bare array is a batch's jobs
+  _toBatch({ job, batch }) {
+    if (job) {
+      const { outputFolder, ...jobDef } = job;
+      return { jobs: [jobDef], globalOptions: outputFolder ? { outputFolder } : {} };
+    }
+    return Array.isArray(batch) ? { jobs: batch } : batch;
+  }
+
+  // First occurrence after `now` (a one-off schedule just keeps its time)
+  _nextOccurrence(from, repeat, now = new Date()) {
+    const next = new Date(from);
+    if (repeat === 'none') return next;
+    // Calendar arithmetic keeps "every day at 02:00" at 02:00 across DST changes
+    while (next <= now) {
+      if (repeat === 'hourly') next.setHours(next.getHours() + 1);
+      else if (repeat === 'daily') next.setDate(next.getDate() + 1);
+      else next.setDate(next.getDate() + 7);
+    }
+    return next;
+  }
+}
+
+module.exports = { Scheduler, REPEAT_OPTIONS };
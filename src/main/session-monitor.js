@@ -0,0 +1,129 @@
+const { providerIds, getProvider } = require('./providers/registry');
+
+const MIN_INTERVAL_MINUTES = 5;
+// A batch starting soon after the last check doesn't re-validate the same accounts
+const BATCH_CHECK_MAX_AGE_MS = 10 * 60 * 1000;
+
+/**
+ * Background session checks (settings.sessionMonitor). Every `interval`
+ * minutes, and before a batch starts when `beforeBatch` is on, the enabled
+ * accounts that have cookies are re-validated so expired sessions show up
+ * before jobs fail on them. An account going invalid raises a desktop
+ * notification; with `holdOnInvalid`, a provider whose accounts are all
+ * invalid has its queue held by its circuit breaker until it validates again.
+ */
+class SessionMonitor {
+  /**
+   * @param {Object} hooks - { notify: (title, body) => void }
+   */
+  constructor(config, orchestrator, { notify = () => {} } = {}) {
+    this.config = config;
+    this.orchestrator = orchestrator;
+    this._notify = notify;
+    this._timer = null;
+    this._running = null; // promise of the check in progress
+    this._lastChecked = new Map(); // "provider/accountId" -> ms timestamp
+    this._lastRun = null;
+  }
+
+  _settings() {
+    return {
+      enabled: false,
+      interval: 60,
+      beforeBatch: true,
+      holdOnInvalid: false,
+      ...this.config.get('settings.sessionMonitor')
+    };
+  }
+
+  // Start, restart or stop to match the saved settings
+  applySettings() {
+    const settings = this._settings();
+    clearInterval(this._timer);
+    this._timer = null;
+
+    this.orchestrator.beforeBatch = settings.enabled && settings.beforeBatch
+      ? (providers) => this.check(providers, { maxAge: BATCH_CHECK_MAX_AGE_MS })
+      : null;
+
+    if (settings.enabled) {
+      const minutes = Math.max(MIN_INTERVAL_MINUTES, Number(settings.interval) || 60);
+      this._timer = setInterval(() => this.check(), minutes * 60 * 1000);
+      console.log(`[SESSIONS] Checking sessions every ${minutes} min`);
+    }
+    return this.getStatus();
+  }
+
+  stop() {
+    clearInterval(this._timer);
+    this._timer = null;
+    this.orchestrator.beforeBatch = null;
+  }
+
+  getStatus() {
+    return { enabled: !!this._timer, checking: !!this._running, lastRun: this._lastRun };
+  }
+
+  /**
+   * Re-validate the providers' accounts (all providers by default). Accounts
+   * checked less than `maxAge` ms ago and accounts with jobs running are
+   * skipped. Checks never overlap: a second call waits for the first.
+   */
+  async check(providers = providerIds(), { maxAge = 0 } = {}) {
+    while (this._running) await this._running;
+    this._running = this._check(providers, maxAge);
+    try {
+      await this._running;
+    } finally {
+      this._running = null;
+    }
+  }
+
+  async _check(providers, maxAge) {
+    for (const provider of providers) {
+      const accounts = this.config.getAccounts(provider)
+        .filter(a => a.enabled !== false && a.status !== 'unconfigured');
+      const signedOut = [];
+      let checked = 0;
+
+      for (const account of accounts) {
+        const key = `${provider}/${account.id}`;
+        if (maxAge && Date.now() - (this._lastChecked.get(key) || 0) < maxAge) continue;
+
+        const before = account.status;
+        let valid;
+        try {
+          valid = await this.orchestrator.checkAccount(provider, account.id);
+        } catch (e) {
+          console.log(`[SESSIONS] ${key} check failed: ${e.message}`);
+          continue;
+        }
+        if (valid === null) continue; // busy with jobs
+
+        this._lastChecked.set(key, Date.now());
+        checked++;
+        if (!valid && before !== 'invalid') signedOut.push(account.name);
+      }
+
+      if (signedOut.length > 0) this._report(provider, signedOut);
+
+      const allInvalid = this.config.getAccounts(provider)
+        .filter(a => a.enabled !== false)
+        .every(a => a.status === 'invalid');
+      if (checked > 0 && allInvalid && this._settings().holdOnInvalid) {
+        this.orchestrator.holdProvider(provider, 'auth-expired');
+      }
+    }
+    this._lastRun = new Date().toISOString();
+  }
+
+  _report(provider, accountNames) {
+    const name = getProvider(provider)?.name || provider;
+    console.log(`[SESSIONS] ${name} signed out: ${accountNames.join(', ')}`);
+    this._notify(`${name} session expired`,
+      `${accountNames.join(', ')} ${accountNames.length === 1 ? 'is' : 'are'} signed out. Update the cookies in Settings.`);
+    this.orchestrator.emitProgress({ event: 'session:invalid', provider, accounts: accountNames });
+  }
+}
+
+module.exports = { SessionMonitor };
@@ -13,6 +13,10 @@ let activeBatchTab = 'meta';
 let bulkMode = false;
 let bulkPrompts = {}; // maps image path → prompt string
 let imageJobMap = {}; // maps image path → jobId for status tracking
+let currentBatchId = null; // batch shown on the progress card
+let batchProviders = []; // provider queues in that batch
+let pauseState = { global: false, providers: [], batches: [] };
+let errorCategories = {}; // error category -> { label, hint }
 let bulkPromptMode = false; // bulk mode for text-to-image prompts
 let bulkPromptLinesTxt = []; // raw lines from .txt for text-to-image bulk
 let t2vBulkMode = false; // bulk mode for text-to-video
@@ -24,6 +28,8 @@ let t2vBulkAnimPrompts = []; // animation prompts from .txt
 document.addEventListener('DOMContentLoaded', async () => {
   // Load capabilities
   providerCapabilities = await window.api.getProviderCapabilities();
+  errorCategories = await window.api.getErrorCategories();
+  renderProviderUi();
 
   // Load config and populate settings
   await loadSettings();
@@ -42,7 +48,11 @@ document.addEventListener('DOMContentLoaded', async () => {
   setupT2vBulkMode();
   setupGrokPremiumHint();
   setupClearButtons();
+  setupCompare();
   setupIPCListeners();
+  pauseState = await window.api.getPauseState();
+  renderPauseControls();
+  loadSchedules();
   updateTypeAvailability();
   updatePromptContext();
 
@@ -54,6 +64,250 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
 });
 
+// ============ Provider UI (built from the provider registry) ============
+
+const TYPE_LABELS = {
+  'image-to-video': 'Image to Video',
+  'text-to-video': 'Text to Video',
+  'text-to-image': 'Text to Image'
+};
+
+// Status dots, provider buttons and cookie cards for every registered provider.
+// Built-in providers have hand-written batch tabs; any other gets a generic one.
+function renderProviderUi() {
+  const providers = Object.entries(providerCapabilities || {});
+
+  document.getElementById('sidebar-status').innerHTML = providers.map(([id, p]) => `
+    <div class="status-item">
+      <div class="status-dot unconfigured" id="status-${id}"></div>
+      <span>${escapeHtml(p.shortName)}</span>
+    </div>
+  `).join('');
+
+  document.getElementById('provider-grid').innerHTML = providers.map(([id, p]) => `
+    <button class="provider-option${id === selectedProvider ? ' selected' : ''}" data-provider="${id}">${escapeHtml(p.shortName)}</button>
+  `).join('');
+
+  for (const [id, p] of providers) {
+    if (!document.getElementById(`batch-tab-${id}`)) appendBatchTab(id, p);
+  }
+
+  document.getElementById('settings-watch-provider').innerHTML = providers
+    .filter(([, p]) => p.types.includes('image-to-video'))
+    .map(([id, p]) => `<option value="${id}">${escapeHtml(p.name)}</option>`).join('');
+
+  document.getElementById('cookie-settings').innerHTML = providers.map(([id, p]) => `
+    <div class="card">
+      <div class="settings-section">
+        <div class="settings-section-title">
+          <span style="color: ${escapeAttr(p.color)};">${escapeHtml(p.icon)}</span> ${escapeHtml(p.name)} Accounts
+          <button class="btn btn-secondary btn-sm" data-account-action="add" data-provider="${id}" style="margin-left: auto;">+ Add Account</button>
+        </div>
+        <div id="accounts-${id}"><!-- Filled by renderAccounts --></div>
+        ${p.profiles ? `
+          <label class="account-enabled" style="margin-top: 8px;">
+            <input type="checkbox" class="profile-toggle" data-provider="${id}">
+            Keep a browser profile per account (site data and sign-in survive restarts)
+          </label>
+        ` : ''}
+        ${p.cookieHint ? `<div class="cookie-hint">${escapeHtml(p.cookieHint)}</div>` : ''}
+      </div>
+    </div>
+  `).join('');
+}
+
+const ACCOUNT_STATUS_LABELS = {
+  valid: 'Signed in',
+  invalid: 'Invalid or expired',
+  configured: 'Not validated',
+  unconfigured: 'No cookies'
+};
+
+// One block per account: name, on/off, cookie fields and its own Validate button
+function renderAccounts(provider, accounts) {
+  const fields = providerCapabilities[provider]?.cookies || [];
+  document.getElementById(`accounts-${provider}`).innerHTML = accounts.map(account => `
+    <div class="account-block" data-provider="${provider}" data-account-id="${escapeAttr(account.id)}">
+      <div class="account-header">
+        <span class="status-dot ${escapeAttr(account.status)}" id="account-dot-${provider}-${escapeAttr(account.id)}"
+          title="${ACCOUNT_STATUS_LABELS[account.status] || ''}"></span>
+        <input type="text" class="account-name" value="${escapeAttr(account.name)}" placeholder="Account name">
+        <label class="account-enabled">
+          <input type="checkbox" class="account-enabled-input" ${account.enabled !== false ? 'checked' : ''}> Use for jobs
+        </label>
+        ${accounts.length > 1 ? `<button class="btn btn-sm btn-clear-json" data-account-action="remove" data-provider="${provider}" data-account-id="${escapeAttr(account.id)}">Remove</button>` : ''}
+      </div>
+      <div class="cookie-row">
+        ${fields.map(field => `
+          <div class="form-group">
+            <label class="form-label">${escapeHtml(field.label)}</label>
+            <input type="password" class="account-cookie" data-key="${escapeAttr(field.key)}"
+              placeholder="${escapeAttr(account.cookiesSet?.[field.key] ? 'Saved — paste to replace' : field.placeholder || '')}">
+          </div>
+        `).join('')}
+        <button class="btn btn-secondary btn-sm" data-account-action="validate" data-provider="${provider}" data-account-id="${escapeAttr(account.id)}">Validate</button>
+        ${providerCapabilities[provider]?.browserLogin ? `<button class="btn btn-secondary btn-sm" data-account-action="login" data-provider="${provider}" data-account-id="${escapeAttr(account.id)}"
+          title="Open a browser window, sign in, and save the session cookies">Log in with browser</button>` : ''}
+        ${providerCapabilities[provider]?.cookieDomains?.length ? `<button class="btn btn-secondary btn-sm" data-account-action="import" data-provider="${provider}" data-account-id="${escapeAttr(account.id)}"
+          title="Import from a cookies.txt or cookie-editor JSON export">Import...</button>` : ''}
+        ${Object.values(account.cookiesSet || {}).some(Boolean) ? `<button class="btn btn-sm btn-clear-json" data-account-action="clear-cookies" data-provider="${provider}" data-account-id="${escapeAttr(account.id)}"
+          title="Delete the saved cookies (empty fields are otherwise left as they are)">Clear Cookies</button>` : ''}
+      </div>
+      <div class="validate-result" id="validate-${provider}-${escapeAttr(account.id)}"></div>
+      ${providerCapabilities[provider]?.profiles ? `
+        <div class="profile-info" id="profile-${provider}-${escapeAttr(account.id)}" style="display: none;">
+          <span class="profile-summary"></span>
+          <button class="btn btn-secondary btn-sm" data-account-action="profile-open" data-provider="${provider}" data-account-id="${escapeAttr(account.id)}">Open Folder</button>
+          <button class="btn btn-sm btn-clear-json" data-account-action="profile-reset" data-provider="${provider}" data-account-id="${escapeAttr(account.id)}">Reset Profile</button>
+        </div>
+      ` : ''}
+    </div>
+  `).join('');
+
+  if (providerCapabilities[provider]?.profiles) {
+    accounts.forEach(account => renderProfileInfo(provider, account.id));
+  }
+}
+
+// Shown while profiles are on for the provider, or while an old profile is still on disk
+async function renderProfileInfo(provider, accountId) {
+  const el = document.getElementById(`profile-${provider}-${accountId}`);
+  if (!el) return;
+  const info = await window.api.inspectProfile(provider, accountId);
+
+  el.style.display = info.enabled || info.exists ? '' : 'none';
+  el.querySelector('.profile-summary').textContent = info.exists
+    ? `Browser profile: ${(info.size / 1048576).toFixed(1)} MB, last used ${info.lastUsed ? new Date(info.lastUsed).toLocaleString() : 'never'}${info.enabled ? '' : ' (not in use)'}`
+    : 'Browser profile: created on first launch';
+  el.querySelectorAll('button').forEach(btn => { btn.disabled = !info.exists; });
+}
+
+// Status dots only, so unsaved edits in the account fields are kept
+async function refreshAccountDots() {
+  const config = await window.api.loadConfig();
+  for (const [provider, accounts] of Object.entries(config.accounts || {})) {
+    for (const account of accounts) {
+      const dot = document.getElementById(`account-dot-${provider}-${account.id}`);
+      if (!dot) continue;
+      dot.className = `status-dot ${account.status}`;
+      dot.title = ACCOUNT_STATUS_LABELS[account.status] || '';
+    }
+  }
+}
+
+async function handleAccountAction(e) {
+  const btn = e.target.closest('[data-account-action]');
+  if (!btn) return;
+  const { accountAction, provider, accountId } = btn.dataset;
+
+  if (accountAction === 'validate') {
+    await doValidateProvider(provider, accountId);
+    return;
+  }
+  if (accountAction === 'profile-open') {
+    await window.api.openProfileFolder(provider, accountId);
+    return;
+  }
+  if (accountAction === 'profile-reset') {
+    if (!confirm('Delete this account\'s browser profile? Site data and the sign-in kept in it are lost; the stored cookies stay.')) return;
+    const result = await window.api.resetProfile(provider, accountId);
+    if (!result.success) alert(result.errors.join('\n'));
+    await renderProfileInfo(provider, accountId);
+    return;
+  }
+
+  // Keep unsaved edits of the other accounts before re-rendering the list
+  if (!await saveProviderCookies(provider)) return;
+
+  let cookieResult = null; // from an import or a browser login
+  if (accountAction === 'add') {
+    const name = prompt(`Name for the new ${providerCapabilities[provider].name} account:`);
+    if (!name) return;
+    const result = await window.api.addAccount(provider, { name });
+    if (!result.success) {
+      alert(result.errors.join('\n'));
+      return;
+    }
+  } else if (accountAction === 'remove') {
+    if (!confirm('Remove this account and its cookies?')) return;
+    const result = await window.api.removeAccount(provider, accountId);
+    if (!result.success) alert(result.errors.join('\n'));
+  } else if (accountAction === 'clear-cookies') {
+    if (!confirm('Delete this account\'s saved cookies? It can\'t run jobs until new ones are added.')) return;
+    const cookies = Object.fromEntries((providerCapabilities[provider]?.cookies || []).map(field => [field.key, '']));
+    const result = await window.api.updateAccount(provider, accountId, { cookies });
+    if (!result.success) alert(result.errors.join('\n'));
+  } else if (accountAction === 'import') {
+    cookieResult = await window.api.importCookies(provider, accountId);
+    if (!cookieResult) return; // dialog cancelled
+  } else if (accountAction === 'login') {
+    const resultEl = document.getElementById(`validate-${provider}-${accountId}`);
+    resultEl.className = 'validate-result';
+    resultEl.innerHTML = '<span class="spinner"></span> Sign in in the browser window that opened...';
+    btn.disabled = true;
+    cookieResult = await window.api.loginWithBrowser(provider, accountId);
+  }
+
+  const config = await window.api.loadConfig();
+  renderAccounts(provider, config.accounts[provider] || []);
+  await loadProviderStatus();
+  if (cookieResult) showCookieResult(provider, accountId, cookieResult);
+}
+
+function showCookieResult(provider, accountId, result) {
+  const resultEl = document.getElementById(`validate-${provider}-${accountId}`);
+  if (!result.success) {
+    resultEl.className = 'validate-result invalid';
+    resultEl.textContent = result.errors.join('; ');
+    return;
+  }
+
+  const names = result.found.map(c => `${c.name} (${c.domain})`);
+  const shown = names.length > 6 ? `${names.slice(0, 6).join(', ')} +${names.length - 6} more` : names.join(', ');
+  const skipped = result.expired ? `, skipped ${result.expired} expired` : '';
+  const count = `${names.length} cookie${names.length === 1 ? '' : 's'}`;
+  resultEl.className = 'validate-result valid';
+  resultEl.textContent = result.file
+    ? `Imported ${count} from ${result.file}: ${shown}${skipped}. Validate to check the session.`
+    : `Signed in - saved ${count}: ${shown}`;
+}
+
+function appendBatchTab(id, p) {
+  document.querySelector('.batch-tabs').insertAdjacentHTML('beforeend', `
+    <button class="batch-tab-btn" data-batch-provider="${id}">${escapeHtml(p.shortName)}</button>
+  `);
+
+  const contents = document.querySelectorAll('.batch-tab-content');
+  contents[contents.length - 1].insertAdjacentHTML('afterend', `
+    <div class="batch-tab-content" id="batch-tab-${id}">
+      <div class="batch-provider-info">
+        ${escapeHtml(p.name)} supports: ${p.types.map(type => TYPE_LABELS[type] || type).join(', ')}
+      </div>
+      <div class="batch-tab-header">
+        <div class="batch-tab-header-actions">
+          <div class="template-dropdown">
+            <button class="btn btn-secondary btn-sm btn-batch-templates" data-batch-provider="${id}">Templates</button>
+            <div class="template-menu" id="template-menu-${id}">
+              ${p.types.map(type => `
+                <button class="template-item" data-template="${type}" data-provider="${id}">${TYPE_LABELS[type] || type}</button>
+              `).join('')}
+            </div>
+          </div>
+          <button class="btn btn-secondary btn-sm btn-load-prompts" data-provider="${id}">Load Prompts (.txt)</button>
+          <button class="btn btn-secondary btn-sm btn-load-json-provider" data-provider="${id}">Load JSON</button>
+          <button class="btn btn-sm btn-clear-json" data-provider="${id}">Clear</button>
+        </div>
+      </div>
+      <div class="json-editor-container">
+        <textarea class="json-editor" id="json-editor-${id}" placeholder="Enter jobs for ${escapeAttr(p.name)} (provider auto-added)..."></textarea>
+      </div>
+      <div class="json-validation empty" id="json-validation-${id}">
+        Enter jobs or load prompts to validate
+      </div>
+    </div>
+  `);
+}
+
 // ============ Tab Navigation ============
 
 function setupTabNavigation() {
@@ -80,6 +334,13 @@ function switchTab(tabName) {
   if (tabName === 'history') {
     loadHistory();
   }
+  if (tabName === 'compare') {
+    loadComparisons();
+  }
+  // Refresh today's quota usage (keeps unsaved edits)
+  if (tabName === 'settings') {
+    renderRateLimits(collectRateLimits());
+  }
 }
 
 // ============ Provider Selection ============
@@ -401,23 +662,74 @@ function setupButtons() {
     if (folder) document.getElementById('settings-output-folder').value = folder;
   });
 
+  // Watch folder
+  document.getElementById('btn-settings-watch-folder').addEventListener('click', async () => {
+    const folder = await window.api.selectFolder();
+    if (folder) document.getElementById('settings-watch-folder').value = folder;
+  });
+
   // Save settings
   document.getElementById('btn-save-settings').addEventListener('click', saveSettings);
 
-  // Validate buttons
-  document.getElementById('btn-validate-meta').addEventListener('click', () => doValidateProvider('meta'));
-  document.getElementById('btn-validate-grok').addEventListener('click', () => doValidateProvider('grok'));
-  document.getElementById('btn-validate-whisk').addEventListener('click', () => doValidateProvider('whisk'));
-  document.getElementById('btn-validate-imagefx').addEventListener('click', () => doValidateProvider('imagefx'));
+  // Browser: show what the choice resolves to before saving
+  document.getElementById('settings-browser-channel').addEventListener('change', renderBrowserStatus);
+  document.getElementById('settings-browser-path').addEventListener('change', renderBrowserStatus);
+
+  // Session monitor
+  document.getElementById('btn-check-sessions').addEventListener('click', async (e) => {
+    e.target.disabled = true;
+    document.getElementById('sessions-status').innerHTML = '<span class="spinner"></span> Checking sessions...';
+    try {
+      await window.api.checkSessions();
+      await refreshAccountDots();
+      await loadProviderStatus();
+    } finally {
+      e.target.disabled = false;
+      await renderSessionStatus();
+    }
+  });
+
+  // Local API token
+  document.getElementById('btn-copy-api-token').addEventListener('click', () => {
+    navigator.clipboard.writeText(document.getElementById('settings-api-token').value);
+  });
+  // Cookie encryption passphrase (no keychain, or cookies saved with a passphrase)
+  document.getElementById('btn-cookie-passphrase').addEventListener('click', setCookiePassphrase);
+
+  document.getElementById('btn-regenerate-api-token').addEventListener('click', async () => {
+    if (!confirm('Regenerate the API token? Tools using the old token will stop working.')) return;
+    document.getElementById('settings-api-token').value = await window.api.regenerateApiToken();
+  });
+
+  // Account add / remove / validate buttons
+  document.getElementById('cookie-settings').addEventListener('click', handleAccountAction);
 
   // Run batch (merge all tabs)
   document.getElementById('btn-run-batch').addEventListener('click', mergeBatchAndSubmit);
 
+  // Schedules
+  document.getElementById('btn-schedule-batch').addEventListener('click', scheduleBatch);
+  document.getElementById('schedule-list').addEventListener('click', handleScheduleAction);
+
   // Cancel batch
   document.getElementById('btn-cancel-batch').addEventListener('click', async () => {
     await window.api.cancelAll();
   });
 
+  // Pause / resume (running jobs finish, queued ones wait)
+  document.getElementById('btn-pause-batch').addEventListener('click', () => {
+    if (currentBatchId) togglePause({ batchId: currentBatchId }, pauseState.batches.includes(currentBatchId));
+  });
+  document.getElementById('btn-pause-all').addEventListener('click', () => {
+    togglePause({}, pauseState.global);
+  });
+  document.getElementById('batch-queue-controls').addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-pause-provider]');
+    if (!btn) return;
+    const provider = btn.dataset.pauseProvider;
+    togglePause({ provider }, pauseState.providers.includes(provider));
+  });
+
   // Clear history
   document.getElementById('btn-clear-history').addEventListener('click', async () => {
     if (confirm('Clear all generation history?')) {
@@ -493,6 +805,10 @@ async function startGeneration() {
 
   // Build options
   const jobOptions = { aspectRatio };
+  const variationCount = parseInt(document.getElementById('variation-count').value);
+  if (variationCount > 1) {
+    jobOptions.count = variationCount;
+  }
   if (selectedProvider === 'imagefx') {
     jobOptions.model = document.getElementById('imagefx-model').value;
   }
@@ -1146,7 +1462,7 @@ function refreshT2vBulkMapping() {
 // ============ Batch / JSON (Per-Provider Tabs) ============
 
 function setupBatchTabs() {
-  const allProviders = ['meta', 'grok', 'whisk', 'imagefx'];
+  const allProviders = Object.keys(providerCapabilities);
 
   // Sub-tab switching
   document.querySelectorAll('.batch-tab-btn').forEach(btn => {
@@ -1291,13 +1607,28 @@ function getBatchTemplate(name) {
     'imagefx-t2i': [
       { type: 'text-to-image', prompt: 'A photorealistic portrait in golden hour light', options: { model: 'IMAGEN_3_5' } }
     ],
+    'imagefx-pipeline': [
+      { id: 'still', type: 'text-to-image', prompt: 'A lighthouse on a cliff at dusk', options: { aspectRatio: '9:16' } },
+      { id: 'grok-clip', provider: 'grok', type: 'image-to-video', prompt: 'Slow push in as waves crash below', imageFrom: 'still' },
+      { id: 'whisk-clip', provider: 'whisk', type: 'image-to-video', prompt: 'Gentle pan across the scene', imageFrom: 'still', dependsOn: ['grok-clip'] }
+    ],
     'imagefx-multi': [
       { type: 'text-to-image', prompt: 'A cyberpunk street scene', options: { model: 'IMAGEN_4' } },
       { type: 'text-to-image', prompt: 'A serene lake at sunset', options: { aspectRatio: '16:9' } },
       { type: 'text-to-image', prompt: 'An abstract geometric pattern', options: { aspectRatio: '1:1' } }
     ]
   };
-  return templates[name] || [];
+  if (templates[name]) return templates[name];
+
+  // Generic one-job template for providers without hand-written ones (name is the job type)
+  if (TYPE_LABELS[name]) {
+    return [{
+      type: name,
+      prompt: 'A serene lake at sunset',
+      ...(name === 'image-to-video' ? { image: 'C:/path/to/image.jpg' } : {})
+    }];
+  }
+  return [];
 }
 
 function validateProviderJson(provider) {
@@ -1318,7 +1649,6 @@ function validateProviderJson(provider) {
     imagefx: ['text-to-image']
   };
   const validTypes = ['image-to-video', 'text-to-video', 'text-to-image'];
-  const providerCaps = capabilityMap[provider] || [];
 
   try {
     let parsed = JSON.parse(text);
@@ -1337,14 +1667,19 @@ function validateProviderJson(provider) {
     const allErrors = [];
     parsed.forEach((job, i) => {
       const prefix = parsed.length > 1 ? `Job ${i + 1}: ` : '';
-      if (!job.type) {
+      // Pipeline steps may target another provider than the tab they are written in
+      const jobProvider = job.provider || provider;
+      const jobCaps = capabilityMap[jobProvider];
+      if (!jobCaps) {
+        allErrors.push(`${prefix}Unknown provider "${jobProvider}"`);
+      } else if (!job.type) {
         allErrors.push(`${prefix}Missing "type"`);
       } else if (!validTypes.includes(job.type)) {
         allErrors.push(`${prefix}Unknown type "${job.type}"`);
-      } else if (!providerCaps.includes(job.type)) {
-        allErrors.push(`${prefix}${provider} does not support ${job.type}. Supported: ${providerCaps.join(', ')}`);
+      } else if (!jobCaps.includes(job.type)) {
+        allErrors.push(`${prefix}${jobProvider} does not support ${job.type}. Supported: ${jobCaps.join(', ')}`);
       }
-      if (job.type === 'image-to-video' && !job.image) {
+      if (job.type === 'image-to-video' && !job.image && !job.imageFrom) {
         allErrors.push(`${prefix}Missing "image" path for image-to-video`);
       }
       if (job.type && job.type !== 'image-to-video' && !job.prompt) {
@@ -1389,8 +1724,9 @@ async function loadPromptsFromTxt(provider) {
   }
 }
 
-async function mergeBatchAndSubmit() {
-  const allProviders = ['meta', 'grok', 'whisk', 'imagefx'];
+// Merge every provider tab into one batch; null (after alerting) when there's nothing valid to run
+function collectBatch() {
+  const allProviders = Object.keys(providerCapabilities);
   const allJobs = [];
 
   for (const provider of allProviders) {
@@ -1402,31 +1738,36 @@ async function mergeBatchAndSubmit() {
       let parsed = JSON.parse(text);
       if (!Array.isArray(parsed)) parsed = [parsed];
 
-      // Auto-inject provider field
+      // Auto-inject provider field (pipeline steps may name their own)
       for (const job of parsed) {
-        job.provider = provider;
+        job.provider = job.provider || provider;
         allJobs.push(job);
       }
     } catch (e) {
       alert(`Invalid JSON in ${provider} tab: ${e.message}`);
       switchBatchTab(provider);
-      return;
+      return null;
     }
   }
 
   if (allJobs.length === 0) {
     alert('No jobs to run. Enter jobs in at least one provider tab.');
-    return;
+    return null;
   }
 
   const outputFolder = document.getElementById('output-folder').value ||
                        document.getElementById('settings-output-folder').value;
 
-  const batch = {
+  return {
     batch: true,
     jobs: allJobs,
     globalOptions: { outputFolder }
   };
+}
+
+async function mergeBatchAndSubmit() {
+  const batch = collectBatch();
+  if (!batch) return;
 
   try {
     const result = await window.api.submitBatch(batch);
@@ -1445,13 +1786,128 @@ async function mergeBatchAndSubmit() {
   }
 }
 
+// ============ Schedules ============
+
+async function scheduleBatch() {
+  const runAt = document.getElementById('schedule-run-at').value;
+  if (!runAt) {
+    alert('Pick a date and time for the first run.');
+    return;
+  }
+
+  const batch = collectBatch();
+  if (!batch) return;
+
+  const result = await window.api.addSchedule({
+    name: document.getElementById('schedule-name').value.trim(),
+    runAt: new Date(runAt).toISOString(),
+    repeat: document.getElementById('schedule-repeat').value,
+    batch
+  });
+  if (!result.success) {
+    alert('Cannot schedule:\n' + result.errors.join('\n'));
+    return;
+  }
+
+  document.getElementById('schedule-name').value = '';
+  loadSchedules();
+}
+
+async function loadSchedules() {
+  const list = document.getElementById('schedule-list');
+  const repeatLabels = { none: 'Once', hourly: 'Every hour', daily: 'Every day', weekly: 'Every week' };
+
+  try {
+    const schedules = await window.api.getSchedules();
+    list.innerHTML = schedules.map(sch => `
+      <div class="schedule-item${sch.enabled ? '' : ' disabled'}">
+        <div class="schedule-info">
+          <div class="schedule-name">${escapeHtml(sch.name)}</div>
+          <div class="history-meta">
+            <span>${repeatLabels[sch.repeat] || sch.repeat}</span>
+            <span>${sch.enabled && sch.nextRunAt ? 'Next: ' + formatDate(sch.nextRunAt) : 'Not scheduled'}</span>
+            ${sch.lastRunAt ? `<span>Last: ${formatDate(sch.lastRunAt)}</span>` : ''}
+          </div>
+          ${sch.lastError ? `<div class="schedule-error">${escapeHtml(sch.lastError)}</div>` : ''}
+        </div>
+        <button class="btn btn-secondary btn-sm" data-schedule-action="run" data-schedule-id="${sch.id}">Run Now</button>
+        <button class="btn btn-secondary btn-sm" data-schedule-action="toggle" data-schedule-id="${sch.id}">${sch.enabled ? 'Disable' : 'Enable'}</button>
+        <button class="btn btn-danger btn-sm" data-schedule-action="delete" data-schedule-id="${sch.id}">Delete</button>
+      </div>
+    `).join('');
+  } catch (e) {
+    console.error('Failed to load schedules:', e);
+  }
+}
+
+async function handleScheduleAction(e) {
+  const btn = e.target.closest('[data-schedule-action]');
+  if (!btn) return;
+  const id = btn.dataset.scheduleId;
+  let result;
+
+  switch (btn.dataset.scheduleAction) {
+    case 'run':
+      result = await window.api.runSchedule(id);
+      break;
+    case 'toggle': {
+      const enable = btn.textContent.trim() === 'Enable';
+      result = await window.api.updateSchedule(id, { enabled: enable });
+      break;
+    }
+    case 'delete':
+      if (!confirm('Delete this schedule?')) return;
+      await window.api.deleteSchedule(id);
+      break;
+  }
+
+  if (result && !result.success) alert(result.errors.join('\n'));
+  loadSchedules();
+}
+
+// ============ Pause / Resume ============
+
+async function togglePause(scope, paused) {
+  const result = paused ? await window.api.resumeJobs(scope) : await window.api.pauseJobs(scope);
+  if (!result.success) {
+    alert('Error: ' + result.error);
+    return;
+  }
+  pauseState = { global: result.global, providers: result.providers, batches: result.batches };
+  renderPauseControls();
+}
+
+function renderPauseControls() {
+  const batchBtn = document.getElementById('btn-pause-batch');
+  const batchPaused = !!currentBatchId && pauseState.batches.includes(currentBatchId);
+  batchBtn.disabled = !currentBatchId;
+  batchBtn.textContent = batchPaused ? 'Resume' : 'Pause';
+  batchBtn.classList.toggle('paused', batchPaused);
+
+  const allBtn = document.getElementById('btn-pause-all');
+  allBtn.textContent = pauseState.global ? 'Resume All' : 'Pause All';
+  allBtn.classList.toggle('paused', pauseState.global);
+
+  document.getElementById('batch-queue-controls').innerHTML = batchProviders.map(provider => {
+    const paused = pauseState.providers.includes(provider);
+    return `<button class="btn btn-secondary btn-sm${paused ? ' paused' : ''}" data-pause-provider="${provider}">
+      ${paused ? 'Resume' : 'Pause'} ${provider.toUpperCase()}
+    </button>`;
+  }).join('');
+}
+
 // ============ Progress / IPC ============
 
 function setupIPCListeners() {
   window.api.onJobProgress((data) => {
     if (data.event === 'batch:start') {
+      currentBatchId = data.batchId;
+      batchProviders = Object.keys(data.providers || {});
+      renderPauseControls();
       document.getElementById('batch-progress-card').style.display = 'block';
       document.getElementById('batch-total').textContent = data.total;
+      document.getElementById('batch-completed').textContent = data.completed || 0;
+      document.getElementById('batch-failed').textContent = data.failed || 0;
       return;
     }
 
@@ -1464,6 +1920,33 @@ function setupIPCListeners() {
     if (data.event === 'batch:complete') {
       document.getElementById('batch-completed').textContent = data.completed;
       document.getElementById('batch-failed').textContent = data.failed;
+      if (data.batchId === currentBatchId) {
+        currentBatchId = null;
+        batchProviders = [];
+        renderPauseControls();
+      }
+      return;
+    }
+
+    if (data.event && data.event.startsWith('schedule:')) {
+      loadSchedules();
+      return;
+    }
+
+    if (data.event === 'provider:circuit') {
+      loadProviderStatus();
+      return;
+    }
+
+    if (data.event === 'session:invalid') {
+      refreshAccountDots();
+      loadProviderStatus();
+      return;
+    }
+
+    if (data.event === 'pause:changed') {
+      pauseState = { global: data.global, providers: data.providers, batches: data.batches };
+      renderPauseControls();
       return;
     }
 
@@ -1485,7 +1968,7 @@ function setupIPCListeners() {
     }
 
     if (data.event === 'failed') {
-      completeProgressItem(data.jobId, false, data.error);
+      completeProgressItem(data.jobId, false, formatError(data.error, data.category));
       updateImageStatusByJobId(data.jobId, 'failed');
     }
 
@@ -1493,18 +1976,26 @@ function setupIPCListeners() {
       completeProgressItem(data.jobId, false, 'Cancelled');
       updateImageStatusByJobId(data.jobId, 'failed');
     }
+
+    if (data.event === 'skipped') {
+      addProgressItem(data.jobId, data.provider, 'Skipped');
+      completeProgressItem(data.jobId, false, data.error);
+      loadHistory();
+    }
   });
 
   window.api.onJobComplete((data) => {
     completeProgressItem(data.jobId, true);
     updateImageStatusByJobId(data.jobId, 'success');
     loadHistory();
+    if (currentTab === 'compare') loadComparisons();
   });
 
   window.api.onJobFailed((data) => {
-    completeProgressItem(data.jobId, false, data.error);
+    completeProgressItem(data.jobId, false, formatError(data.error, data.category));
     updateImageStatusByJobId(data.jobId, 'failed');
     loadHistory();
+    if (currentTab === 'compare') loadComparisons();
   });
 }
 
@@ -1543,6 +2034,13 @@ function updateProgressItem(jobId, provider, stage, percent) {
   const percentEl = item.querySelector('.progress-percent');
   const barFill = item.querySelector('.progress-bar-fill');
 
+  // Job was re-routed to a fallback provider
+  const providerEl = item.querySelector('.progress-provider');
+  if (providerEl && provider && !providerEl.classList.contains(provider)) {
+    providerEl.className = `progress-provider ${provider}`;
+    providerEl.textContent = provider.toUpperCase();
+  }
+
   if (stageEl) stageEl.textContent = stage;
   if (percent >= 0) {
     if (percentEl) percentEl.textContent = `${percent}%`;
@@ -1609,6 +2107,150 @@ function updateImageStatusByJobId(jobId, status) {
   if (imagePath) updateImageStatus(imagePath, status);
 }
 
+// ============ Compare ============
+
+function setupCompare() {
+  const typeSelect = document.getElementById('compare-type');
+  typeSelect.addEventListener('change', updateCompareForm);
+  updateCompareForm();
+
+  document.getElementById('btn-compare-image').addEventListener('click', async () => {
+    const files = await window.api.selectFile();
+    if (files && files.length > 0) {
+      document.getElementById('compare-image').value = files[0];
+    }
+  });
+
+  document.getElementById('btn-run-compare').addEventListener('click', runComparison);
+
+  const list = document.getElementById('compare-list');
+  list.addEventListener('click', handleCompareAction);
+}
+
+function updateCompareForm() {
+  const type = document.getElementById('compare-type').value;
+  const caps = providerCapabilities || {};
+  const names = Object.values(caps).filter(c => c.types.includes(type)).map(c => c.name);
+
+  document.getElementById('compare-image-group').style.display = type === 'image-to-video' ? 'block' : 'none';
+  document.getElementById('compare-providers-hint').textContent = names.length > 0
+    ? `Runs on: ${names.join(', ')}`
+    : 'No provider supports this type';
+}
+
+async function runComparison() {
+  const type = document.getElementById('compare-type').value;
+  const prompt = document.getElementById('compare-prompt').value.trim();
+  const image = document.getElementById('compare-image').value;
+
+  if (!prompt && type !== 'image-to-video') {
+    alert('Please enter a prompt');
+    return;
+  }
+  if (type === 'image-to-video' && !image) {
+    alert('Please select a source image');
+    return;
+  }
+
+  const result = await window.api.submitComparison({
+    type,
+    prompt,
+    image: type === 'image-to-video' ? image : undefined,
+    options: { aspectRatio: document.getElementById('compare-aspect').value },
+    outputFolder: document.getElementById('output-folder').value ||
+                  document.getElementById('settings-output-folder').value
+  });
+
+  if (!result.success) {
+    alert('Validation errors:\n' + result.errors.join('\n'));
+    return;
+  }
+
+  await loadComparisons();
+}
+
+async function loadComparisons() {
+  const list = document.getElementById('compare-list');
+
+  try {
+    const comparisons = await window.api.getComparisons({ limit: 20 });
+
+    if (!comparisons || comparisons.length === 0) {
+      list.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-state-icon">&#9783;</div>
+          <div class="empty-state-title">No comparisons yet</div>
+          <div class="empty-state-desc">Run one prompt on every capable provider to compare results side by side</div>
+        </div>
+      `;
+      return;
+    }
+
+    list.innerHTML = comparisons.map(cmp => `
+      <div class="card">
+        <div class="card-header">
+          <div>
+            <div class="card-title">${cmp.type}</div>
+            <div class="compare-prompt" title="${escapeAttr(cmp.prompt)}">${escapeHtml(cmp.prompt || 'No prompt')}</div>
+          </div>
+          <span class="history-meta">${formatDate(cmp.createdAt)}</span>
+        </div>
+        <div class="compare-grid">
+          ${cmp.jobs.map(job => renderCompareCell(cmp, job)).join('')}
+        </div>
+      </div>
+    `).join('');
+  } catch (e) {
+    console.error('Failed to load comparisons:', e);
+  }
+}
+
+function renderCompareCell(cmp, job) {
+  const isWinner = cmp.winner === job.id;
+  let media;
+  if (job.status !== 'success') {
+    media = `<div class="compare-media compare-placeholder">${escapeHtml(job.error || job.status)}</div>`;
+  } else if (job.type === 'text-to-image') {
+    media = `<img class="compare-media" src="${escapeAttr(toFileUrl(job.outputPath))}" alt="">`;
+  } else {
+    media = `<video class="compare-media" src="${escapeAttr(toFileUrl(job.outputPath))}" controls loop muted></video>`;
+  }
+
+  return `
+    <div class="compare-cell ${isWinner ? 'winner' : ''}">
+      <div class="compare-cell-header">
+        <span class="progress-provider ${job.provider}">${job.provider.toUpperCase()}</span>
+        <span class="history-badge ${job.status}">${job.status}</span>
+      </div>
+      ${media}
+      <div class="compare-cell-actions">
+        ${job.status === 'success' ? `
+          <button class="btn ${isWinner ? 'btn-primary' : 'btn-secondary'} btn-sm" data-action="winner" data-comparison-id="${cmp.id}" data-job-id="${isWinner ? '' : job.id}">${isWinner ? '&#9733; Winner' : 'Pick winner'}</button>
+          <button class="btn btn-secondary btn-icon" data-action="open-file" data-path="${escapeAttr(job.outputPath)}" title="Open file">&#9654;</button>
+        ` : ''}
+      </div>
+    </div>
+  `;
+}
+
+async function handleCompareAction(e) {
+  const btn = e.target.closest('[data-action]');
+  if (!btn) return;
+
+  if (btn.dataset.action === 'winner') {
+    // Clicking the current winner clears it
+    await window.api.setComparisonWinner(btn.dataset.comparisonId, btn.dataset.jobId || null);
+    await loadComparisons();
+  } else if (btn.dataset.action === 'open-file') {
+    await window.api.openFile(btn.dataset.path);
+  }
+}
+
+function toFileUrl(filePath) {
+  return 'file:///' + encodeURI(filePath.replace(/\\/g, '/').replace(/^\/+/, ''))
+    .replace(/#/g, '%23').replace(/\?/g, '%3F');
+}
+
 // ============ History ============
 
 async function loadHistory() {
@@ -1637,17 +2279,28 @@ async function loadHistory() {
           <div class="history-prompt">${escapeHtml(job.prompt || 'No prompt')}</div>
           <div class="history-meta">
             <span>${job.provider}</span>
+            ${job.account ? `<span title="Account">${escapeHtml(job.account)}</span>` : ''}
             <span>${job.type}</span>
             <span>${formatDate(job.createdAt)}</span>
             ${job.duration ? `<span>${job.duration}s</span>` : ''}
+            ${job.variations ? `<span>${job.variationsSucceeded || 0}/${job.variations} variations</span>` : ''}
+            ${(job.attemptChain || []).length > 1 ? `
+              <span title="${escapeAttr(formatAttemptChain(job.attemptChain))}">${job.producedBy ? `via ${job.producedBy}` : `${job.attemptChain.length} attempts`}</span>
+            ` : ''}
           </div>
+          ${job.status === 'failed' && job.error ? `
+            <div class="history-error" title="${escapeAttr(errorCategories[job.errorCategory]?.hint || '')}">
+              <span class="history-error-category">${escapeHtml(errorCategories[job.errorCategory]?.label || 'Failed')}</span>
+              ${escapeHtml(job.error)}
+            </div>
+          ` : ''}
         </div>
         <div class="history-actions">
           ${job.status === 'success' ? `
             <button class="btn btn-secondary btn-icon" data-action="open-file" data-path="${escapeAttr(job.outputPath)}" title="Open file">&#9654;</button>
             <button class="btn btn-secondary btn-icon" data-action="open-folder" data-path="${escapeAttr(job.outputPath)}" title="Open folder">&#128194;</button>
           ` : ''}
-          ${job.status === 'failed' ? `
+          ${['failed', 'interrupted', 'skipped'].includes(job.status) ? `
             <button class="btn btn-secondary btn-icon" data-action="retry" data-job-id="${job.id}" title="Retry">&#8635;</button>
           ` : ''}
           <button class="btn btn-icon" data-action="delete" data-job-id="${job.id}" title="Delete" style="color: var(--text-muted);">&#128465;</button>
@@ -1671,23 +2324,11 @@ async function loadSettings() {
     const config = await window.api.loadConfig();
     if (!config) return;
 
-    // Populate cookie fields
-    if (config.cookies) {
-      if (config.cookies.meta) {
-        document.getElementById('cookie-meta-datr').value = config.cookies.meta.datr || '';
-        document.getElementById('cookie-meta-abra_sess').value = config.cookies.meta.abra_sess || '';
-      }
-      if (config.cookies.grok) {
-        document.getElementById('cookie-grok-sso').value = config.cookies.grok.sso || '';
-        document.getElementById('cookie-grok-sso-rw').value = config.cookies.grok['sso-rw'] || '';
-      }
-      if (config.cookies.whisk) {
-        document.getElementById('cookie-whisk-cookies').value = config.cookies.whisk.cookies || '';
-      }
-      if (config.cookies.imagefx) {
-        document.getElementById('cookie-imagefx-cookies').value = config.cookies.imagefx.cookies || '';
-      }
+    // Account cards
+    for (const provider of Object.keys(providerCapabilities)) {
+      renderAccounts(provider, config.accounts?.[provider] || []);
     }
+    renderCookieEncryption(config);
 
     // Populate settings
     if (config.settings) {
@@ -1696,39 +2337,296 @@ async function loadSettings() {
       document.getElementById('settings-retry').value = config.settings.retryAttempts || 3;
       document.getElementById('settings-delay').value = config.settings.delayBetween || 10;
       document.getElementById('settings-naming').value = config.settings.namingPattern || '{provider}_{index}_{timestamp}';
+      document.getElementById('settings-fallback').value = (config.settings.fallbackProviders || []).join(', ');
+      document.getElementById('settings-interrupted').value = config.settings.resumeOnStartup === false
+        ? 'off' : (config.settings.interruptedJobPolicy || 'requeue');
+      document.getElementById('settings-account-rotation').value = config.settings.accountRotation || 'round-robin';
+      document.querySelectorAll('.profile-toggle').forEach(input => {
+        input.checked = !!config.settings.browserProfiles?.[input.dataset.provider];
+      });
+      await renderRateLimits(config.settings.rateLimits || {});
+      renderNetwork(config.settings.network || {});
+      document.getElementById('settings-browser-channel').value = config.settings.browser?.channel || 'auto';
+      document.getElementById('settings-browser-path').value = config.settings.browser?.executablePath || '';
+      document.getElementById('settings-browser-tabs').value = config.settings.browserPool?.maxTabs || 8;
+      document.getElementById('settings-browser-idle').value = String(config.settings.browserPool?.idleTimeout ?? 300);
+      if (!document.getElementById('settings-browser-idle').value) document.getElementById('settings-browser-idle').value = '300';
+      await renderBrowserStatus();
+
+      const breaker = config.settings.circuitBreaker || {};
+      document.getElementById('settings-breaker-threshold').value = breaker.enabled === false ? 0 : (breaker.threshold || 3);
+      const patternSelect = document.getElementById('settings-breaker-patterns');
+      patternSelect.value = (breaker.patterns || []).join(',');
+      if (!patternSelect.value) patternSelect.value = 'auth-expired,quota,timeout';
+      document.getElementById('settings-breaker-cooldown').value = breaker.cooldown || 120;
+
+      const watch = config.settings.watchFolder || {};
+      document.getElementById('settings-watch-enabled').value = String(!!watch.enabled);
+      document.getElementById('settings-watch-folder').value = watch.folder || '';
+      document.getElementById('settings-watch-provider').value = watch.provider || 'meta';
+      document.getElementById('settings-watch-ratio').value = watch.aspectRatio || '9:16';
+      document.getElementById('settings-watch-prompt').value = watch.promptTemplate || '';
+      await renderWatchStatus();
+
+      const sessions = config.settings.sessionMonitor || {};
+      document.getElementById('settings-sessions-interval').value = sessions.enabled ? String(sessions.interval || 60) : '0';
+      if (!document.getElementById('settings-sessions-interval').value) document.getElementById('settings-sessions-interval').value = '60';
+      document.getElementById('settings-sessions-before-batch').value = String(sessions.beforeBatch !== false);
+      document.getElementById('settings-sessions-hold').value = String(!!sessions.holdOnInvalid);
+      await renderSessionStatus();
+
+      const api = config.settings.api || {};
+      document.getElementById('settings-api-enabled').value = String(!!api.enabled);
+      document.getElementById('settings-api-port').value = api.port || 7870;
+      document.getElementById('settings-api-token').value = api.token || '';
+      await renderApiStatus();
     }
   } catch (e) {
     console.error('Failed to load settings:', e);
   }
 }
 
-async function saveSettings() {
-  // Save cookies
-  await window.api.saveCookies('meta', {
-    datr: document.getElementById('cookie-meta-datr').value,
-    abra_sess: document.getElementById('cookie-meta-abra_sess').value
-  });
+async function renderWatchStatus() {
+  const status = await window.api.getWatchStatus();
+  const el = document.getElementById('watch-status');
+  if (status.error) {
+    el.textContent = `Not watching: ${status.error}`;
+  } else if (status.watching) {
+    el.textContent = `Watching ${status.folder}` + (status.queued ? ` (${status.queued} in progress)` : '') +
+      '. Clips are saved to its output/ subfolder; images move to done/ or failed/.';
+  } else {
+    el.textContent = 'Off. Images dropped into the folder become image-to-video jobs.';
+  }
+}
 
-  await window.api.saveCookies('grok', {
-    sso: document.getElementById('cookie-grok-sso').value,
-    'sso-rw': document.getElementById('cookie-grok-sso-rw').value
-  });
+async function renderSessionStatus() {
+  const status = await window.api.getSessionStatus();
+  const el = document.getElementById('sessions-status');
+  const last = status.lastRun ? ` Last check: ${new Date(status.lastRun).toLocaleString()}.` : '';
+  el.textContent = (status.enabled
+    ? 'Accounts with cookies are validated in the background; a desktop notification tells you when one signs out.'
+    : 'Off. Sessions are only checked when you click Validate or Check Now.') + last;
+}
+
+const COOKIE_ENCRYPTION_MODES = {
+  safeStorage: 'Cookies are encrypted with the system keychain.',
+  passphrase: 'Cookies are encrypted with your passphrase.',
+  none: '\u26A0 Cookies are stored unencrypted: no system keychain is available. Enter a passphrase to encrypt them; ' +
+    'it is not saved, so you will be asked for it again after a restart (or set AIVG_COOKIE_PASSPHRASE before starting the app).'
+};
+
+function renderCookieEncryption(config) {
+  const status = document.getElementById('cookie-encryption-status');
+  const form = document.getElementById('cookie-passphrase-form');
+  const button = document.getElementById('btn-cookie-passphrase');
+
+  if (config.cookiesLocked > 0) {
+    status.textContent = `\u26A0 ${config.cookiesLocked} saved cookie value(s) are encrypted with a passphrase. ` +
+      'Enter it to use them (or set AIVG_COOKIE_PASSPHRASE before starting the app).';
+    button.textContent = 'Unlock';
+  } else {
+    status.textContent = COOKIE_ENCRYPTION_MODES[config.cookieEncryption] || '';
+    button.textContent = 'Encrypt';
+  }
+  form.style.display = config.cookiesLocked > 0 || config.cookieEncryption === 'none' ? 'flex' : 'none';
+}
+
+async function setCookiePassphrase() {
+  const input = document.getElementById('cookie-passphrase');
+  const result = await window.api.setCookiePassphrase(input.value);
+  if (!result.success) {
+    alert(result.errors.join('\n'));
+    return;
+  }
+  input.value = '';
+  // Unlocked accounts now show their cookies as set
+  const config = await window.api.loadConfig();
+  for (const provider of Object.keys(providerCapabilities)) {
+    renderAccounts(provider, config.accounts?.[provider] || []);
+  }
+  renderCookieEncryption(config);
+  await loadProviderStatus();
+}
+
+function collectBrowser() {
+  return {
+    channel: document.getElementById('settings-browser-channel').value,
+    executablePath: document.getElementById('settings-browser-path').value.trim()
+  };
+}
+
+async function renderBrowserStatus() {
+  const result = await window.api.detectBrowser(collectBrowser());
+  const el = document.getElementById('browser-status');
+  if (!result.success) {
+    el.textContent = result.errors.join('; ');
+  } else if (result.executablePath) {
+    el.textContent = `Using ${result.name} at ${result.executablePath}.`;
+  } else {
+    el.textContent = `Using ${result.name}; Playwright looks for it in its standard location.`;
+  }
+}
+
+async function renderApiStatus() {
+  const status = await window.api.getApiStatus();
+  const el = document.getElementById('api-status');
+  if (status.running) {
+    el.innerHTML = `Listening on <code>${status.url}</code>. Send the token as <code>Authorization: Bearer &lt;token&gt;</code>.`;
+  } else {
+    el.textContent = status.error ? `Not running: ${status.error}` : 'Off. Endpoints are listed in the README.';
+  }
+}
+
+// ============ Network ============
 
-  await window.api.saveCookies('whisk', {
-    cookies: document.getElementById('cookie-whisk-cookies').value
+const NETWORK_FIELDS = [
+  { key: 'proxy', label: 'Proxy', placeholder: 'socks5://host:port' },
+  { key: 'userAgent', label: 'User agent', placeholder: 'Default' },
+  { key: 'locale', label: 'Locale', placeholder: 'System' }
+];
+
+function renderNetwork(network) {
+  const head = ['Provider', ...NETWORK_FIELDS.map(f => f.label)]
+    .map(label => `<div class="rate-limit-head">${label}</div>`).join('');
+
+  const rows = Object.entries(network).map(([provider, settings]) => `
+    <div class="rate-limit-provider">${provider.toUpperCase()}</div>
+    ${NETWORK_FIELDS.map(f => `
+      <input type="text" data-net-provider="${provider}" data-net-key="${f.key}"
+        value="${escapeAttr(settings[f.key] || '')}" placeholder="${f.placeholder}">
+    `).join('')}
+  `).join('');
+
+  document.getElementById('network-grid').innerHTML = head + rows;
+}
+
+function collectNetwork() {
+  const network = {};
+  document.querySelectorAll('#network-grid [data-net-provider]').forEach(input => {
+    const { netProvider, netKey } = input.dataset;
+    network[netProvider] = network[netProvider] || {};
+    network[netProvider][netKey] = input.value.trim();
   });
+  return network;
+}
+
+// ============ Rate Limits ============
+
+const RATE_LIMIT_FIELDS = [
+  { key: 'perMinute', label: 'Req / min' },
+  { key: 'minSpacing', label: 'Spacing (s)' },
+  { key: 'jitter', label: 'Jitter (s)' },
+  { key: 'dailyBudget', label: 'Daily budget' },
+  { key: 'resetHour', label: 'Resets (hour)' }
+];
+
+async function renderRateLimits(rateLimits) {
+  const usage = await window.api.getQuotaUsage();
+  const grid = document.getElementById('rate-limit-grid');
+
+  const head = ['Provider', ...RATE_LIMIT_FIELDS.map(f => f.label), 'Budget counts', 'Used today']
+    .map(label => `<div class="rate-limit-head">${label}</div>`).join('');
+
+  const rows = Object.entries(rateLimits).map(([provider, limits]) => {
+    const used = usage[provider] || { used: 0, budget: 0 };
+    const exhausted = used.budget > 0 && used.used >= used.budget;
+    return `
+      <div class="rate-limit-provider">${provider.toUpperCase()}</div>
+      ${RATE_LIMIT_FIELDS.map(f => `
+        <input type="number" min="0" ${f.key === 'resetHour' ? 'max="23"' : ''}
+          data-rate-provider="${provider}" data-rate-key="${f.key}" value="${limits[f.key] || 0}">
+      `).join('')}
+      <select data-rate-provider="${provider}" data-rate-key="budgetScope">
+        <option value="all" ${limits.budgetScope !== 'video' ? 'selected' : ''}>All jobs</option>
+        <option value="video" ${limits.budgetScope === 'video' ? 'selected' : ''}>Videos only</option>
+      </select>
+      <div class="rate-limit-usage${exhausted ? ' exhausted' : ''}" title="Resets ${formatDate(used.resetsAt)}">
+        ${used.budget > 0 ? `${used.used} / ${used.budget}` : `${used.used}`}
+      </div>
+    `;
+  }).join('');
 
-  await window.api.saveCookies('imagefx', {
-    cookies: document.getElementById('cookie-imagefx-cookies').value
+  grid.innerHTML = head + rows;
+}
+
+function collectRateLimits() {
+  const rateLimits = {};
+  document.querySelectorAll('#rate-limit-grid [data-rate-provider]').forEach(input => {
+    const { rateProvider, rateKey } = input.dataset;
+    rateLimits[rateProvider] = rateLimits[rateProvider] || {};
+    rateLimits[rateProvider][rateKey] = rateKey === 'budgetScope'
+      ? input.value : Math.max(0, parseFloat(input.value) || 0);
   });
+  return rateLimits;
+}
+
+async function saveSettings() {
+  // Save cookies
+  for (const provider of Object.keys(providerCapabilities)) {
+    await saveProviderCookies(provider);
+  }
 
   // Save global settings
-  await window.api.saveConfig({
+  const saved = await window.api.saveConfig({
     outputFolder: document.getElementById('settings-output-folder').value,
     retryAttempts: parseInt(document.getElementById('settings-retry').value),
     delayBetween: parseInt(document.getElementById('settings-delay').value),
-    namingPattern: document.getElementById('settings-naming').value
+    namingPattern: document.getElementById('settings-naming').value,
+    fallbackProviders: document.getElementById('settings-fallback').value
+      .split(',').map(p => p.trim().toLowerCase()).filter(Boolean),
+    resumeOnStartup: document.getElementById('settings-interrupted').value !== 'off',
+    interruptedJobPolicy: document.getElementById('settings-interrupted').value === 'off'
+      ? 'interrupt' : document.getElementById('settings-interrupted').value,
+    accountRotation: document.getElementById('settings-account-rotation').value,
+    browserProfiles: Object.fromEntries([...document.querySelectorAll('.profile-toggle')]
+      .map(input => [input.dataset.provider, input.checked])),
+    rateLimits: collectRateLimits(),
+    network: collectNetwork(),
+    browser: collectBrowser(),
+    browserPool: {
+      maxTabs: Math.min(32, Math.max(1, parseInt(document.getElementById('settings-browser-tabs').value) || 8)),
+      idleTimeout: parseInt(document.getElementById('settings-browser-idle').value) || 0
+    },
+    circuitBreaker: {
+      enabled: document.getElementById('settings-breaker-threshold').value !== '0',
+      threshold: parseInt(document.getElementById('settings-breaker-threshold').value) || 3,
+      patterns: document.getElementById('settings-breaker-patterns').value.split(','),
+      cooldown: Math.max(10, parseInt(document.getElementById('settings-breaker-cooldown').value) || 120),
+      maxCooldown: 1800
+    },
+    sessionMonitor: {
+      enabled: document.getElementById('settings-sessions-interval').value !== '0',
+      interval: parseInt(document.getElementById('settings-sessions-interval').value) || 60,
+      beforeBatch: document.getElementById('settings-sessions-before-batch').value === 'true',
+      holdOnInvalid: document.getElementById('settings-sessions-hold').value === 'true'
+    },
+    watchFolder: {
+      enabled: document.getElementById('settings-watch-enabled').value === 'true',
+      folder: document.getElementById('settings-watch-folder').value,
+      provider: document.getElementById('settings-watch-provider').value,
+      aspectRatio: document.getElementById('settings-watch-ratio').value,
+      promptTemplate: document.getElementById('settings-watch-prompt').value.trim()
+    },
+    api: {
+      enabled: document.getElementById('settings-api-enabled').value === 'true',
+      port: Math.min(65535, Math.max(1024, parseInt(document.getElementById('settings-api-port').value) || 7870))
+    }
   });
+  if (saved?.success === false) {
+    alert('Settings not saved:\n' + saved.errors.join('\n'));
+    return;
+  }
+
+  // Started or stopped by the save; the token exists once it has run
+  const config = await window.api.loadConfig();
+  document.getElementById('settings-api-token').value = config.settings.api?.token || '';
+  // Clear the pasted cookies from the page now that they are stored
+  for (const provider of Object.keys(providerCapabilities)) {
+    renderAccounts(provider, config.accounts?.[provider] || []);
+  }
+  await renderApiStatus();
+  await renderWatchStatus();
+  await renderSessionStatus();
 
   // Sync output folder to generate tab
   document.getElementById('output-folder').value = document.getElementById('settings-output-folder').value;
@@ -1742,21 +2640,34 @@ async function saveSettings() {
 async function loadProviderStatus() {
   try {
     const status = await window.api.getCookieStatus();
+    const circuits = await window.api.getCircuitStatus();
     for (const [provider, state] of Object.entries(status)) {
       const dot = document.getElementById(`status-${provider}`);
-      if (dot) {
+      if (!dot) continue;
+
+      // A tripped circuit breaker overrides the cookie status
+      const circuit = circuits[provider];
+      if (circuit && circuit.state === 'open') {
+        dot.className = 'status-dot tripped';
+        const reason = errorCategories[circuit.reason]?.label || circuit.reason;
+        dot.title = `Paused after repeated failures (${reason}) — retrying ${formatDate(circuit.openUntil)}`;
+      } else if (circuit && circuit.state === 'half-open') {
+        dot.className = 'status-dot probing';
+        dot.title = 'Checking session before resuming...';
+      } else {
         dot.className = `status-dot ${state}`;
+        dot.title = '';
       }
     }
   } catch (e) {}
 }
 
-async function doValidateProvider(provider) {
-  console.log(`[UI] Validating ${provider}...`);
-  const resultEl = document.getElementById(`validate-${provider}`);
+async function doValidateProvider(provider, accountId) {
+  console.log(`[UI] Validating ${provider} account ${accountId}...`);
+  const resultEl = document.getElementById(`validate-${provider}-${accountId}`);
   resultEl.className = 'validate-result';
 
-  const isApiProvider = (provider === 'whisk' || provider === 'imagefx');
+  const isApiProvider = providerCapabilities[provider]?.method === 'api';
   const waitMsg = isApiProvider
     ? 'Validating... (testing API, may take a few seconds)'
     : 'Validating... (launching browser, may take 15-30s)';
@@ -1766,9 +2677,14 @@ async function doValidateProvider(provider) {
   await saveProviderCookies(provider);
   await loadProviderStatus(); // Show yellow dot immediately
 
+  const dot = document.getElementById(`account-dot-${provider}-${accountId}`);
   try {
-    const valid = await window.api.validateCookies(provider);
+    const valid = await window.api.validateCookies(provider, accountId);
     console.log(`[UI] ${provider} validation result:`, valid);
+    if (dot) {
+      dot.className = `status-dot ${valid ? 'valid' : 'invalid'}`;
+      dot.title = ACCOUNT_STATUS_LABELS[valid ? 'valid' : 'invalid'];
+    }
     if (valid) {
       resultEl.className = 'validate-result valid';
       resultEl.textContent = 'Valid - session active';
@@ -1784,33 +2700,25 @@ async function doValidateProvider(provider) {
   await loadProviderStatus();
 }
 
+// Save every account block of a provider; false if one was rejected (e.g. duplicate name).
+// Saved cookies are never sent back to the page, so empty fields keep their stored value.
 async function saveProviderCookies(provider) {
-  let cookies;
-  switch (provider) {
-    case 'meta':
-      cookies = {
-        datr: document.getElementById('cookie-meta-datr').value,
-        abra_sess: document.getElementById('cookie-meta-abra_sess').value
-      };
-      break;
-    case 'grok':
-      cookies = {
-        sso: document.getElementById('cookie-grok-sso').value,
-        'sso-rw': document.getElementById('cookie-grok-sso-rw').value
-      };
-      break;
-    case 'whisk':
-      cookies = {
-        cookies: document.getElementById('cookie-whisk-cookies').value
-      };
-      break;
-    case 'imagefx':
-      cookies = {
-        cookies: document.getElementById('cookie-imagefx-cookies').value
-      };
-      break;
+  for (const block of document.querySelectorAll(`#accounts-${provider} .account-block`)) {
+    const cookies = {};
+    block.querySelectorAll('.account-cookie').forEach(input => {
+      if (input.value.trim()) cookies[input.dataset.key] = input.value.trim();
+    });
+    const result = await window.api.updateAccount(provider, block.dataset.accountId, {
+      name: block.querySelector('.account-name').value,
+      enabled: block.querySelector('.account-enabled-input').checked,
+      cookies
+    });
+    if (!result.success) {
+      alert(`${providerCapabilities[provider].name}: ${result.errors.join('\n')}`);
+      return false;
+    }
   }
-  await window.api.saveCookies(provider, cookies);
+  return true;
 }
 
 // ============ Window Controls ============
@@ -1874,3 +2782,15 @@ function formatDate(isoString) {
     hour: '2-digit', minute: '2-digit'
   });
 }
+
+// "<category label>: <message>" for failed jobs
+function formatError(error, category) {
+  const label = errorCategories[category]?.label;
+  return label && error ? `${label}: ${error}` : (error || label || 'Failed');
+}
+
+function formatAttemptChain(chain) {
+  return chain
+    .map(a => `${a.provider}${a.account ? ` [${a.account}]` : ''}: ${a.status}${a.error ? ` (${a.error})` : ''}`)
+    .join(' → ');
+}